@@ -4,6 +4,7 @@ if (!process.env.__ALREADY_BOOTSTRAPPED_ENVS) require('dotenv').config();
 
 const fs = require('fs');
 const { createServer } = require('@app-core/server');
+const { startScheduler } = require('@app/services/scheduler/scheduler');
 
 const server = createServer({
   port: process.env.PORT,
@@ -15,6 +16,18 @@ const ENDPOINT_CONFIGS = [
   {
     path: './endpoints/payment-instruction/',
   },
+  {
+    path: './endpoints/accounts/',
+  },
+  {
+    path: './endpoints/scheduled-instructions/',
+  },
+  {
+    path: './endpoints/currencies/',
+  },
+  {
+    path: './endpoints/transactions/',
+  },
 ];
 
 function setupEndpointHandlers(basePath, options = {}) {
@@ -36,3 +49,7 @@ ENDPOINT_CONFIGS.forEach((config) => {
 });
 
 server.startServer();
+
+startScheduler({
+  intervalMs: parseInt(process.env.SCHEDULER_INTERVAL_MS, 10) || 60 * 1000,
+});
@@ -0,0 +1,15 @@
+const { createHandler } = require('@app-core/server');
+const createAccount = require('@app/services/accounts/create-account');
+
+module.exports = createHandler({
+  path: '/accounts',
+  method: 'post',
+  middlewares: [],
+  async handler(rc, helpers) {
+    const account = await createAccount(rc.body);
+    return {
+      status: helpers.http_statuses.HTTP_201_CREATED,
+      data: account,
+    };
+  },
+});
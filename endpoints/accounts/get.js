@@ -0,0 +1,15 @@
+const { createHandler } = require('@app-core/server');
+const getAccount = require('@app/services/accounts/get-account');
+
+module.exports = createHandler({
+  path: '/accounts/:id',
+  method: 'get',
+  middlewares: [],
+  async handler(rc, helpers) {
+    const account = await getAccount({ id: rc.params.id });
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      data: account,
+    };
+  },
+});
@@ -0,0 +1,15 @@
+const { createHandler } = require('@app-core/server');
+const listAccounts = require('@app/services/accounts/list-accounts');
+
+module.exports = createHandler({
+  path: '/accounts',
+  method: 'get',
+  middlewares: [],
+  async handler(rc, helpers) {
+    const accounts = await listAccounts();
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      data: accounts,
+    };
+  },
+});
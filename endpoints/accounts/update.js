@@ -0,0 +1,15 @@
+const { createHandler } = require('@app-core/server');
+const updateAccount = require('@app/services/accounts/update-account');
+
+module.exports = createHandler({
+  path: '/accounts/:id',
+  method: 'patch',
+  middlewares: [],
+  async handler(rc, helpers) {
+    const account = await updateAccount({ ...rc.body, id: rc.params.id });
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      data: account,
+    };
+  },
+});
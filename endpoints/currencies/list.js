@@ -0,0 +1,15 @@
+const { createHandler } = require('@app-core/server');
+const listCurrencies = require('@app/services/currencies/list-currencies');
+
+module.exports = createHandler({
+  path: '/currencies',
+  method: 'get',
+  middlewares: [],
+  async handler(rc, helpers) {
+    const currencies = await listCurrencies(rc.query);
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      data: currencies,
+    };
+  },
+});
@@ -0,0 +1,20 @@
+const { createHandler } = require('@app-core/server');
+const { appLogger } = require('@app-core/logger');
+const processInstructionBatch = require('@app/services/payment-processor/process-instruction-batch');
+
+module.exports = createHandler({
+  path: '/payment-instructions/batch',
+  method: 'post',
+  middlewares: [],
+  async handler(rc, helpers) {
+    const payload = rc.body;
+    const response = await processInstructionBatch(payload, {
+      collectViolations: rc.query.violations === 'all',
+    });
+    appLogger.info(response.summary, 'payment-instruction-batch-response');
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      data: response,
+    };
+  },
+});
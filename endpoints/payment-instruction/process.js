@@ -1,13 +1,19 @@
 const { createHandler } = require('@app-core/server');
 const { appLogger } = require('@app-core/logger');
 const parsePaymentInstruction = require('@app/services/payment-processor/parse-instruction');
+const { idempotency, withIdempotentResponse } = require('@app/middlewares');
+
 module.exports = createHandler({
   path: '/payment-instructions',
   method: 'post',
-  middlewares: [],
-  async handler(rc, helpers) {
+  middlewares: [idempotency],
+  handler: withIdempotentResponse(async (rc, helpers) => {
     const payload = rc.body;
-    const response = await parsePaymentInstruction(payload);
+    const response = await parsePaymentInstruction(payload, {
+      collectViolations: rc.query.violations === 'all',
+      explain: rc.query.explain === 'true',
+      allowDuplicate: rc.query.allow_duplicate === 'true',
+    });
     // Determine HTTP status code based on transaction status
     let httpStatus = helpers.http_statuses.HTTP_200_OK;
     if (response.status === 'failed') {
@@ -24,5 +30,5 @@ module.exports = createHandler({
       status: httpStatus,
       data: response,
     };
-  },
+  }),
 });
@@ -0,0 +1,15 @@
+const { createHandler } = require('@app-core/server');
+const verifyReceipt = require('@app/services/receipts/verify-receipt');
+
+module.exports = createHandler({
+  path: '/payment-instructions/receipts/verify',
+  method: 'post',
+  middlewares: [],
+  async handler(rc, helpers) {
+    const response = verifyReceipt(rc.body);
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      data: response,
+    };
+  },
+});
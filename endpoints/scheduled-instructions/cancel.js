@@ -0,0 +1,15 @@
+const { createHandler } = require('@app-core/server');
+const cancelScheduledInstruction = require('@app/services/scheduler/cancel-scheduled-instruction');
+
+module.exports = createHandler({
+  path: '/scheduled-instructions/:id/cancel',
+  method: 'post',
+  middlewares: [],
+  async handler(rc, helpers) {
+    const record = await cancelScheduledInstruction({ id: rc.params.id });
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      data: record,
+    };
+  },
+});
@@ -0,0 +1,15 @@
+const { createHandler } = require('@app-core/server');
+const getScheduledInstruction = require('@app/services/scheduler/get-scheduled-instruction');
+
+module.exports = createHandler({
+  path: '/scheduled-instructions/:id',
+  method: 'get',
+  middlewares: [],
+  async handler(rc, helpers) {
+    const record = await getScheduledInstruction({ id: rc.params.id });
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      data: record,
+    };
+  },
+});
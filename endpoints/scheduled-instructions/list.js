@@ -0,0 +1,15 @@
+const { createHandler } = require('@app-core/server');
+const listScheduledInstructions = require('@app/services/scheduler/list-scheduled-instructions');
+
+module.exports = createHandler({
+  path: '/scheduled-instructions',
+  method: 'get',
+  middlewares: [],
+  async handler(rc, helpers) {
+    const records = await listScheduledInstructions(rc.query);
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      data: records,
+    };
+  },
+});
@@ -0,0 +1,15 @@
+const { createHandler } = require('@app-core/server');
+const runDueInstructions = require('@app/services/scheduler/run-due-instructions');
+
+module.exports = createHandler({
+  path: '/scheduled-instructions/run-due',
+  method: 'post',
+  middlewares: [],
+  async handler(rc, helpers) {
+    const executed = await runDueInstructions();
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      data: executed,
+    };
+  },
+});
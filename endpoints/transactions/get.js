@@ -0,0 +1,15 @@
+const { createHandler } = require('@app-core/server');
+const getTransaction = require('@app/services/transactions/get-transaction');
+
+module.exports = createHandler({
+  path: '/transactions/:id',
+  method: 'get',
+  middlewares: [],
+  async handler(rc, helpers) {
+    const record = await getTransaction({ id: rc.params.id });
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      data: record,
+    };
+  },
+});
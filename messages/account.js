@@ -0,0 +1,15 @@
+const AccountMessages = {
+  ACCOUNT_EXISTS: 'An account with this ID already exists',
+  ACCOUNT_NOT_FOUND: 'Account not found',
+  INVALID_ACCOUNT_ID: 'Invalid account ID format',
+  UNSUPPORTED_CURRENCY: 'Unsupported account currency',
+  INVALID_MAX_DEBIT: 'max_debit must be zero or more',
+  INVALID_OVERDRAFT_LIMIT: 'overdraft_limit must be zero or more',
+  BALANCE_BEYOND_OVERDRAFT: 'Balance is negative beyond the overdraft_limit',
+  CURRENCY_CHANGE_NOT_ALLOWED:
+    'Currency can only change while the balance and held amount are zero',
+  INEXACT_AMOUNT: 'Amount has more decimal places than the account currency allows',
+  NOTHING_TO_UPDATE: 'Provide at least one field to update',
+};
+
+module.exports = AccountMessages;
@@ -0,0 +1,9 @@
+const CurrencyMessages = {
+  INVALID_CURRENCY_CODE: 'Currency code must be three letters',
+  INVALID_MINOR_UNITS: 'Minor units must be a whole number between 0 and 8',
+  INVALID_AMOUNT_LIMITS:
+    'Amount limits must be positive, fit the minor units and have min_amount no greater than max_amount',
+  DUPLICATE_CURRENCY: 'Currency is listed more than once in the registry',
+};
+
+module.exports = CurrencyMessages;
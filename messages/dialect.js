@@ -0,0 +1,10 @@
+const DialectMessages = {
+  INVALID_DIALECT_NAME: 'Dialect name must be letters, digits and hyphens, and not standard',
+  INVALID_DIALECT_KEYWORD: 'Dialect keywords must be single words made of letters',
+  RESERVED_DIALECT_VERB: 'Dialect verb is already a reserved word of the instruction grammar',
+  DIALECT_KEYWORD_CONFLICT:
+    'Dialect debit and credit keywords must differ from each other, from the verb and from ACCOUNT',
+  DUPLICATE_DIALECT: 'Dialect name or verb is listed more than once in the registry',
+};
+
+module.exports = DialectMessages;
@@ -0,0 +1,7 @@
+const IdempotencyMessages = {
+  INVALID_IDEMPOTENCY_KEY: 'Idempotency-Key must be between 1 and 255 characters',
+  KEY_REUSED: 'Idempotency-Key has already been used with a different request body or query',
+  REQUEST_IN_PROGRESS: 'A request with this Idempotency-Key is still being processed',
+};
+
+module.exports = IdempotencyMessages;
@@ -1,3 +1,21 @@
 const PaymentMessages = require('./payment');
+const AccountMessages = require('./account');
+const SchedulerMessages = require('./scheduler');
+const IdempotencyMessages = require('./idempotency');
+const CurrencyMessages = require('./currency');
+const RuleMessages = require('./rule');
+const TransactionMessages = require('./transaction');
+const DialectMessages = require('./dialect');
+const ReceiptMessages = require('./receipt');
 
-module.exports = { PaymentMessages };
+module.exports = {
+  PaymentMessages,
+  AccountMessages,
+  SchedulerMessages,
+  IdempotencyMessages,
+  CurrencyMessages,
+  RuleMessages,
+  TransactionMessages,
+  DialectMessages,
+  ReceiptMessages,
+};
@@ -1,16 +1,60 @@
 const PaymentMessages = {
-  INVALID_AMOUNT: 'Amount must be a positive integer',
+  INVALID_AMOUNT: 'Amount must be a positive number',
+  INVALID_AMOUNT_PRECISION: 'Amount has more decimal places than the currency allows',
+  INVALID_SPLIT_LEG:
+    'Split legs must be written as [account_id]:[amount] or [account_id]:[percentage]%',
+  DUPLICATE_SPLIT_ACCOUNT: 'An account can only be credited once in a split',
+  MIXED_SPLIT: 'Split legs must be all amounts or all percentages',
+  SPLIT_AMOUNT_TOTAL: 'Split amounts must add up to the instruction amount',
+  SPLIT_PERCENTAGE_TOTAL: 'Split percentages must add up to 100',
+  EMPTY_SPLIT_LEG: 'Split leg is too small to receive any amount',
+  SPLIT_CURRENCY_MISMATCH: 'Split credit accounts must hold the instruction currency',
   CURRENCY_MISMATCH: 'Account currency mismatch',
-  UNSUPPORTED_CURRENCY: 'Only NGN, USD, GBP, and GHS are supported',
+  UNSUPPORTED_CURRENCY: 'Unsupported currency',
+  FX_RATE_NOT_FOUND: 'No FX rate available for currency pair',
+  INVALID_FX_RATE: 'FX rate must be a positive number',
+  FX_RATE_NOT_APPLICABLE: 'FX rate can only be applied to cross-currency transfers',
   INSUFFICIENT_FUNDS: 'Insufficient funds in debit account',
   SAME_ACCOUNT_ERROR: 'Debit and credit accounts cannot be the same',
   ACCOUNT_NOT_FOUND: 'Account not found',
   INVALID_ACCOUNT_ID: 'Invalid account ID format',
-  INVALID_DATE_FORMAT: 'Date must be in YYYY-MM-DD format',
+  INVALID_ACCOUNT_SET: 'Invalid accounts',
+  DUPLICATE_ACCOUNT_ID: 'Account ID appears more than once',
+  ACCOUNT_ID_CASE_COLLISION: 'Account IDs differ only by letter case',
+  INVALID_ACCOUNT_BALANCE:
+    'Account balance must be a finite number, and can only be negative within the overdraft limit',
+  UNSUPPORTED_ACCOUNT_CURRENCY: 'Account holds an unsupported currency',
+  ACCOUNT_CLOSED: 'Account is closed',
+  ACCOUNT_FROZEN: 'Account is frozen and can neither send nor receive',
+  ACCOUNT_DEBIT_BLOCKED: 'Account is debit-blocked and can only receive',
+  AMOUNT_BELOW_MINIMUM: 'Amount is below the minimum for the currency',
+  AMOUNT_ABOVE_MAXIMUM: 'Amount is above the maximum for the currency',
+  DEBIT_LIMIT_EXCEEDED: 'Amount is above the debit limit of the account',
+  POSSIBLE_DUPLICATE: 'Possible duplicate of a recently executed instruction',
+  REVERSAL_REQUIRES_ACCOUNT_STORE:
+    'REVERSE and REFUND only apply to transfers executed against the account store',
+  ORIGINAL_TRANSACTION_NOT_FOUND: 'Original transaction not found',
+  TRANSACTION_NOT_REVERSIBLE: 'Only single-currency transfers to one account can be reversed',
+  TRANSACTION_FULLY_REVERSED: 'Transaction has already been fully reversed',
+  REFUND_EXCEEDS_REMAINING: 'Refund is more than the amount left to reverse',
+  REFUND_CURRENCY_MISMATCH: 'Refund currency does not match the original transaction',
+  HOLD_REQUIRES_ACCOUNT_STORE: 'HOLD, CAPTURE and RELEASE only apply to the account store',
+  HOLD_NOT_FOUND: 'Hold not found',
+  HOLD_NOT_ACTIVE: 'Hold is no longer active',
+  INEXACT_ACCOUNT_AMOUNT: 'Account amount has more decimal places than its currency allows',
+  INVALID_HELD_AMOUNT: 'Account held amount must be a finite number that is not negative',
+  INVALID_DATE_FORMAT:
+    'Date must be YYYY-MM-DD, an ISO 8601 datetime with a UTC offset, TODAY, TOMORROW or IN [n] [unit]',
+  EXECUTION_DATE_IN_PAST: 'Execution date is in the past',
+  AMBIGUOUS_EXECUTION_DATE: 'Execution time has no UTC offset',
+  INVALID_RECURRENCE: 'Invalid recurrence rule',
   MISSING_KEYWORD: 'Missing required keyword',
   INVALID_KEYWORD_ORDER: 'Invalid keyword order',
   MALFORMED_INSTRUCTION: 'Malformed instruction',
   TRANSACTION_SUCCESSFUL: 'Transaction executed successfully',
+  FUNDS_HELD: 'Funds held',
+  HOLD_CAPTURED: 'Hold captured',
+  HOLD_RELEASED: 'Hold released',
   TRANSACTION_PENDING: 'Transaction scheduled for future execution',
 };
 
@@ -0,0 +1,5 @@
+const ReceiptMessages = {
+  SIGNING_SECRET_MISSING: 'RECEIPT_SIGNING_SECRET must be set to sign and verify receipts',
+};
+
+module.exports = ReceiptMessages;
@@ -0,0 +1,9 @@
+const RuleMessages = {
+  INVALID_RULE: 'Invalid business rule',
+  DUPLICATE_RULE: 'A business rule with this ID is already registered',
+  RULE_NOT_FOUND: 'Business rule not found',
+  INCOMPLETE_RULE_PIPELINE:
+    'Business rules passed without resolving the amount, currency and accounts of the transfer',
+};
+
+module.exports = RuleMessages;
@@ -0,0 +1,6 @@
+const SchedulerMessages = {
+  SCHEDULED_INSTRUCTION_NOT_FOUND: 'Scheduled instruction not found',
+  NOT_CANCELLABLE: 'Only scheduled instructions can be cancelled',
+};
+
+module.exports = SchedulerMessages;
@@ -0,0 +1,5 @@
+const TransactionMessages = {
+  TRANSACTION_NOT_FOUND: 'Transaction not found',
+};
+
+module.exports = TransactionMessages;
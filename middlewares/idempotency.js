@@ -0,0 +1,65 @@
+const { createHandler } = require('@app-core/server');
+const { appLogger } = require('@app-core/logger');
+const reserveIdempotencyKey = require('@app/services/idempotency/reserve-idempotency-key');
+const completeIdempotencyKey = require('@app/services/idempotency/complete-idempotency-key');
+const releaseIdempotencyKey = require('@app/services/idempotency/release-idempotency-key');
+
+/**
+ * Makes a handler idempotent for requests that send an Idempotency-Key header.
+ * A repeat of a completed request replays its stored response without running the handler;
+ * the handler must be wrapped with `withIdempotentResponse` to record responses.
+ */
+const idempotency = createHandler({
+  async handler(rc) {
+    const key = rc.headers['idempotency-key'];
+    if (key === undefined) return {};
+
+    const { id, response } = await reserveIdempotencyKey({
+      key,
+      scope: `${rc.properties.method} ${rc.properties.handlerPath}`,
+      body: rc.body,
+      query: rc.query,
+    });
+
+    if (response) {
+      return { endHandlerChain: true, status: response.status, data: response.data };
+    }
+
+    return { augments: { meta: { idempotencyKeyId: id } } };
+  },
+});
+
+/**
+ * Wraps a handler so the response for a reserved idempotency key is stored before it is
+ * sent, and a retry arriving right after it gets the stored response back.
+ * A handler that throws releases the key instead, so the request can be retried with it.
+ * @param {Function} handler - Endpoint handler, called with (requestComponents, helpers)
+ * @returns {Function} - Handler to pass to createHandler
+ */
+function withIdempotentResponse(handler) {
+  return async (rc, helpers) => {
+    const id = rc.meta.idempotencyKeyId;
+    if (!id) return handler(rc, helpers);
+
+    let result;
+    try {
+      result = await handler(rc, helpers);
+    } catch (error) {
+      try {
+        await releaseIdempotencyKey({ id });
+      } catch (releaseError) {
+        appLogger.error([releaseError.message, releaseError.stack], 'idempotency-key-store-error');
+      }
+      throw error;
+    }
+
+    await completeIdempotencyKey({
+      id,
+      response: { status: result.status || 200, data: result.data || {} },
+    });
+
+    return result;
+  };
+}
+
+module.exports = { idempotency, withIdempotentResponse };
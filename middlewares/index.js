@@ -0,0 +1,3 @@
+const { idempotency, withIdempotentResponse } = require('./idempotency');
+
+module.exports = { idempotency, withIdempotentResponse };
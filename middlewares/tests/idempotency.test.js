@@ -0,0 +1,94 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { ERROR_CODE } = require('@app-core/errors');
+const { useTempStores } = require('../../test-helpers/temp-stores');
+
+useTempStores('idempotency');
+
+const processEndpoint = require('../../endpoints/payment-instruction/process');
+
+const helpers = { http_statuses: { HTTP_200_OK: 200, HTTP_400_BAD_REQUEST: 400 } };
+
+/**
+ * Runs a request through the endpoint's middlewares and handler the way the server does
+ * @returns {Promise<{status: number, data: Object}>}
+ */
+async function send({ key, body, query = {} }) {
+  const rc = {
+    body,
+    query,
+    params: {},
+    headers: key === undefined ? {} : { 'idempotency-key': key },
+    meta: {},
+    properties: { method: 'POST', handlerPath: processEndpoint.path },
+  };
+
+  for (let i = 0; i < processEndpoint.middlewares.length; i += 1) {
+    // eslint-disable-next-line no-await-in-loop
+    const result = await processEndpoint.middlewares[i].handler(rc, helpers);
+    if (result.endHandlerChain) return { status: result.status, data: result.data };
+    rc.meta = { ...rc.meta, ...(result.augments || {}).meta };
+  }
+
+  return processEndpoint.handler(rc, helpers);
+}
+
+const body = {
+  accounts: [
+    { id: 'a', balance: 100, currency: 'USD' },
+    { id: 'b', balance: 0, currency: 'USD' },
+  ],
+  instruction: 'DEBIT 30 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+};
+
+describe('Idempotency-Key', () => {
+  it('replays the stored response to a retry sent as soon as the first one returns', async () => {
+    const first = await send({ key: 'retry-1', body });
+    const retry = await send({ key: 'retry-1', body });
+
+    assert.strictEqual(first.status, 200);
+    assert.deepStrictEqual(retry, { status: first.status, data: first.data });
+  });
+
+  it('stores failed instructions too, with their HTTP status', async () => {
+    const failing = {
+      ...body,
+      instruction: 'DEBIT 300 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+    };
+    const first = await send({ key: 'retry-2', body: failing });
+    const retry = await send({ key: 'retry-2', body: failing });
+
+    assert.strictEqual(first.status, 400);
+    assert.strictEqual(retry.data.transaction_reference, first.data.transaction_reference);
+  });
+
+  it('rejects the same key with a different query string', async () => {
+    await send({ key: 'retry-3', body });
+
+    await assert.rejects(send({ key: 'retry-3', body, query: { explain: 'true' } }), {
+      errorCode: ERROR_CODE.DUPLRCRD,
+    });
+  });
+
+  it('rejects the same key with a different body', async () => {
+    await send({ key: 'retry-4', body });
+
+    await assert.rejects(send({ key: 'retry-4', body: { ...body, instruction: 'x' } }), {
+      errorCode: ERROR_CODE.DUPLRCRD,
+    });
+  });
+
+  it('releases the key when the handler throws, so the request can be retried', async () => {
+    const invalid = {
+      instruction: 'DEBIT 1 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+      fx_rates: 1,
+    };
+
+    await assert.rejects(send({ key: 'retry-5', body: invalid }), {
+      errorCode: 'SPCL_VALIDATION',
+    });
+    await assert.rejects(send({ key: 'retry-5', body: invalid }), {
+      errorCode: 'SPCL_VALIDATION',
+    });
+  });
+});
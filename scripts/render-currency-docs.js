@@ -0,0 +1,43 @@
+/**
+ * Rewrites the supported currencies table in README.md from the currency registry.
+ * Run with `npm run docs:currencies` after changing the registry.
+ */
+const fs = require('fs');
+const path = require('path');
+const { listCurrencies } = require('@app/services/currencies/currency-registry');
+
+const README_PATH = path.join(__dirname, '..', 'README.md');
+const START_MARKER = '<!-- currencies:start -->';
+const END_MARKER = '<!-- currencies:end -->';
+
+const describeLimit = (limit) => (limit === null ? '-' : String(limit));
+
+function renderCurrencyTable() {
+  const rows = listCurrencies().map(
+    (currency) =>
+      `| ${currency.code} | ${currency.symbol} | ${currency.minor_units} | ${describeLimit(
+        currency.min_amount
+      )} | ${describeLimit(currency.max_amount)} | ${currency.enabled ? 'Yes' : 'No'} |`
+  );
+
+  return [
+    '| Code | Symbol | Minor units | Min amount | Max amount | Enabled |',
+    '|------|--------|-------------|------------|------------|---------|',
+  ]
+    .concat(rows)
+    .join('\n');
+}
+
+const readme = fs.readFileSync(README_PATH, 'utf8');
+const start = readme.indexOf(START_MARKER);
+const end = readme.indexOf(END_MARKER);
+if (start === -1 || end === -1) {
+  throw new Error(`README.md must contain ${START_MARKER} and ${END_MARKER}`);
+}
+
+fs.writeFileSync(
+  README_PATH,
+  `${readme.substring(0, start + START_MARKER.length)}\n${renderCurrencyTable()}\n${readme.substring(
+    end
+  )}`
+);
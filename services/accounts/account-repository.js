@@ -0,0 +1,9 @@
+const path = require('path');
+const createFileRepository = require('../storage/file-repository');
+
+const accountRepository = createFileRepository({
+  filePath:
+    process.env.ACCOUNT_STORE_FILE || path.join(process.cwd(), 'account-data', 'accounts.json'),
+});
+
+module.exports = { accountRepository };
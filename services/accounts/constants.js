@@ -0,0 +1,13 @@
+/**
+ * What an account may be used for
+ * @readonly
+ * @enum {string}
+ */
+const ACCOUNT_STATUSES = {
+  ACTIVE: 'active', // Can send and receive (the default)
+  FROZEN: 'frozen', // Can neither send nor receive
+  CLOSED: 'closed', // Rejected in any instruction
+  DEBIT_BLOCKED: 'debit_blocked', // Can only receive
+};
+
+module.exports = { ACCOUNT_STATUSES };
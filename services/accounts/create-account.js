@@ -0,0 +1,78 @@
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { appLogger } = require('@app-core/logger');
+const { AccountMessages } = require('@app/messages');
+const { isSupportedCurrency } = require('../currencies/currency-registry');
+const { isValidAccountId, listInexactAmountFields } = require('../payment-processor/helpers');
+const { accountRepository } = require('./account-repository');
+
+const spec = `root {
+  id string<trim>
+  balance number
+  currency string<trim|uppercase>
+  max_debit? number
+  overdraft_limit? number
+  status? string(active|frozen|closed|debit_blocked)
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+async function createAccount(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  if (!isValidAccountId(data.id)) {
+    throwAppError(`${AccountMessages.INVALID_ACCOUNT_ID}: ${data.id}`, ERROR_CODE.VALIDATIONERR);
+  }
+
+  if (!isSupportedCurrency(data.currency)) {
+    throwAppError(
+      `${AccountMessages.UNSUPPORTED_CURRENCY}: ${data.currency}`,
+      ERROR_CODE.VALIDATIONERR
+    );
+  }
+
+  if (data.max_debit !== undefined && !(data.max_debit >= 0)) {
+    throwAppError(`${AccountMessages.INVALID_MAX_DEBIT}: ${data.id}`, ERROR_CODE.VALIDATIONERR);
+  }
+
+  if (data.overdraft_limit !== undefined && !(data.overdraft_limit >= 0)) {
+    throwAppError(
+      `${AccountMessages.INVALID_OVERDRAFT_LIMIT}: ${data.id}`,
+      ERROR_CODE.VALIDATIONERR
+    );
+  }
+
+  if (data.balance < -(data.overdraft_limit || 0)) {
+    throwAppError(
+      `${AccountMessages.BALANCE_BEYOND_OVERDRAFT}: ${data.id} has ${data.balance}`,
+      ERROR_CODE.VALIDATIONERR
+    );
+  }
+
+  const [inexactField] = listInexactAmountFields(data);
+  if (inexactField) {
+    throwAppError(
+      `${AccountMessages.INEXACT_AMOUNT}: ${inexactField} ${data[inexactField]} ${data.currency}`,
+      ERROR_CODE.VALIDATIONERR
+    );
+  }
+
+  return accountRepository.runExclusive(async () => {
+    if (await accountRepository.get(data.id)) {
+      throwAppError(`${AccountMessages.ACCOUNT_EXISTS}: ${data.id}`, ERROR_CODE.DUPLRCRD);
+    }
+
+    const record = { id: data.id, balance: data.balance, currency: data.currency, held: 0 };
+    if (data.max_debit !== undefined) record.max_debit = data.max_debit;
+    if (data.overdraft_limit !== undefined) record.overdraft_limit = data.overdraft_limit;
+    if (data.status !== undefined) record.status = data.status;
+
+    const account = await accountRepository.create(record);
+
+    appLogger.info({ id: account.id, currency: account.currency }, 'account-created');
+
+    return account;
+  });
+}
+
+module.exports = createAccount;
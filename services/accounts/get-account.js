@@ -0,0 +1,23 @@
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { AccountMessages } = require('@app/messages');
+const { accountRepository } = require('./account-repository');
+
+const spec = `root {
+  id string
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+async function getAccount(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  const account = await accountRepository.get(data.id);
+  if (!account) {
+    throwAppError(`${AccountMessages.ACCOUNT_NOT_FOUND}: ${data.id}`, ERROR_CODE.NOTFOUND);
+  }
+
+  return account;
+}
+
+module.exports = getAccount;
@@ -0,0 +1,7 @@
+const { accountRepository } = require('./account-repository');
+
+async function listAccounts() {
+  return accountRepository.list();
+}
+
+module.exports = listAccounts;
@@ -0,0 +1,162 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { ERROR_CODE } = require('@app-core/errors');
+const { useTempStores } = require('../../../test-helpers/temp-stores');
+
+useTempStores('accounts');
+
+const createAccount = require('../create-account');
+const updateAccount = require('../update-account');
+const getAccount = require('../get-account');
+const listAccounts = require('../list-accounts');
+const parsePaymentInstruction = require('../../payment-processor/parse-instruction');
+
+describe('account store', () => {
+  it('creates, fetches, lists and updates accounts', async () => {
+    const created = await createAccount({ id: 's1', balance: 50, currency: 'usd' });
+
+    assert.deepStrictEqual(
+      [created.id, created.balance, created.currency, created.held],
+      ['s1', 50, 'USD', 0]
+    );
+    assert.deepStrictEqual(await getAccount({ id: 's1' }), created);
+    assert.ok((await listAccounts()).some((acc) => acc.id === 's1'));
+
+    const updated = await updateAccount({ id: 's1', status: 'frozen' });
+    assert.strictEqual(updated.status, 'frozen');
+    assert.strictEqual(updated.balance, 50);
+  });
+
+  it('rejects a duplicate ID and reports missing accounts', async () => {
+    await createAccount({ id: 's2', balance: 0, currency: 'USD' });
+
+    await assert.rejects(createAccount({ id: 's2', balance: 0, currency: 'USD' }), {
+      errorCode: ERROR_CODE.DUPLRCRD,
+    });
+    await assert.rejects(getAccount({ id: 'missing' }), { errorCode: ERROR_CODE.NOTFOUND });
+    await assert.rejects(updateAccount({ id: 'missing', balance: 1 }), {
+      errorCode: ERROR_CODE.NOTFOUND,
+    });
+  });
+
+  it('resolves instructions without accounts against the store and commits the balances', async () => {
+    await createAccount({ id: 's3', balance: 100, currency: 'USD' });
+    await createAccount({ id: 's4', balance: 0, currency: 'USD' });
+
+    const result = await parsePaymentInstruction({
+      instruction: 'DEBIT 30 USD FROM ACCOUNT s3 FOR CREDIT TO ACCOUNT s4',
+    });
+
+    assert.strictEqual(result.status_code, 'AP00');
+    assert.strictEqual((await getAccount({ id: 's3' })).balance, 70);
+    assert.strictEqual((await getAccount({ id: 's4' })).balance, 30);
+  });
+
+  it('leaves stored balances untouched when the instruction fails', async () => {
+    await createAccount({ id: 's5', balance: 10, currency: 'USD' });
+    await createAccount({ id: 's6', balance: 0, currency: 'USD' });
+
+    const result = await parsePaymentInstruction({
+      instruction: 'DEBIT 30 USD FROM ACCOUNT s5 FOR CREDIT TO ACCOUNT s6',
+    });
+
+    assert.strictEqual(result.status_code, 'AC01');
+    assert.strictEqual((await getAccount({ id: 's5' })).balance, 10);
+  });
+
+  it('returns only the involved accounts of a failed instruction, never the whole store', async () => {
+    await createAccount({ id: 's7', balance: 10, currency: 'USD' });
+    await createAccount({ id: 's8', balance: 0, currency: 'USD' });
+    await createAccount({ id: 's9', balance: 0, currency: 'GBP' });
+    const returnedIds = (result) => result.accounts.map((acc) => acc.id);
+
+    const invalidAmount = await parsePaymentInstruction({
+      instruction: 'DEBIT 0 USD FROM ACCOUNT s7 FOR CREDIT TO ACCOUNT s8',
+    });
+    assert.strictEqual(invalidAmount.status_code, 'AM01');
+    assert.deepStrictEqual(returnedIds(invalidAmount), ['s7', 's8']);
+
+    const unsupportedCurrency = await parsePaymentInstruction({
+      instruction: 'DEBIT 1 XYZ FROM ACCOUNT s7 FOR CREDIT TO ACCOUNT s8',
+    });
+    assert.strictEqual(unsupportedCurrency.status_code, 'CU02');
+    assert.deepStrictEqual(returnedIds(unsupportedCurrency), ['s7', 's8']);
+
+    const missingAccount = await parsePaymentInstruction({
+      instruction: 'DEBIT 1 USD FROM ACCOUNT s7 FOR CREDIT TO ACCOUNT nobody',
+    });
+    assert.strictEqual(missingAccount.status_code, 'AC03');
+    assert.deepStrictEqual(returnedIds(missingAccount), ['s7']);
+
+    const refund = await parsePaymentInstruction({
+      instruction: 'DEBIT 1 USD FROM ACCOUNT s7 FOR CREDIT TO ACCOUNT s8 REF r1',
+    });
+    const overRefund = await parsePaymentInstruction({
+      instruction: `REFUND 5 USD OF ${refund.transaction_reference}`,
+    });
+    assert.strictEqual(overRefund.status_code, 'RV02');
+    assert.deepStrictEqual(returnedIds(overRefund).sort(), ['s7', 's8']);
+  });
+});
+
+describe('account amounts', () => {
+  it('rejects a balance with more decimal places than the currency allows', async () => {
+    await assert.rejects(createAccount({ id: 'p1', balance: 10.005, currency: 'USD' }), {
+      errorCode: ERROR_CODE.VALIDATIONERR,
+    });
+  });
+
+  it('rejects an update that leaves an amount the currency cannot hold', async () => {
+    await createAccount({ id: 'p2', balance: 10.5, currency: 'USD' });
+
+    await assert.rejects(updateAccount({ id: 'p2', overdraft_limit: 0.995 }), {
+      errorCode: ERROR_CODE.VALIDATIONERR,
+    });
+    assert.strictEqual((await getAccount({ id: 'p2' })).overdraft_limit, undefined);
+  });
+});
+
+describe('account balances and currency', () => {
+  it('rejects a new account whose balance is negative beyond its overdraft_limit', async () => {
+    await assert.rejects(createAccount({ id: 'o1', balance: -50, currency: 'USD' }), {
+      errorCode: ERROR_CODE.VALIDATIONERR,
+    });
+    await assert.rejects(
+      createAccount({ id: 'o1', balance: -50, currency: 'USD', overdraft_limit: 20 }),
+      { errorCode: ERROR_CODE.VALIDATIONERR }
+    );
+
+    const account = await createAccount({
+      id: 'o1',
+      balance: -20,
+      currency: 'USD',
+      overdraft_limit: 20,
+    });
+    assert.strictEqual(account.balance, -20);
+  });
+
+  it('rejects an update that leaves the balance beyond the overdraft_limit', async () => {
+    await createAccount({ id: 'o2', balance: -10, currency: 'USD', overdraft_limit: 50 });
+
+    await assert.rejects(updateAccount({ id: 'o2', overdraft_limit: 5 }), {
+      errorCode: ERROR_CODE.VALIDATIONERR,
+    });
+    await assert.rejects(updateAccount({ id: 'o2', balance: -60 }), {
+      errorCode: ERROR_CODE.VALIDATIONERR,
+    });
+    assert.strictEqual((await getAccount({ id: 'o2' })).overdraft_limit, 50);
+  });
+
+  it('only changes the currency of an account with a zero balance', async () => {
+    await createAccount({ id: 'c1', balance: 100, currency: 'USD' });
+    await createAccount({ id: 'c2', balance: 0, currency: 'USD' });
+
+    await assert.rejects(updateAccount({ id: 'c1', currency: 'NGN' }), {
+      errorCode: ERROR_CODE.VALIDATIONERR,
+    });
+    assert.strictEqual((await getAccount({ id: 'c1' })).currency, 'USD');
+
+    const account = await updateAccount({ id: 'c2', currency: 'NGN' });
+    assert.strictEqual(account.currency, 'NGN');
+  });
+});
@@ -0,0 +1,93 @@
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { appLogger } = require('@app-core/logger');
+const { AccountMessages } = require('@app/messages');
+const { isSupportedCurrency } = require('../currencies/currency-registry');
+const { listInexactAmountFields } = require('../payment-processor/helpers');
+const { accountRepository } = require('./account-repository');
+
+const spec = `root {
+  id string
+  balance? number
+  currency? string<trim|uppercase>
+  max_debit? number
+  overdraft_limit? number
+  status? string(active|frozen|closed|debit_blocked)
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+// Fields a PATCH may change
+const UPDATABLE_FIELDS = ['balance', 'currency', 'max_debit', 'overdraft_limit', 'status'];
+
+async function updateAccount(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  const changes = {};
+  UPDATABLE_FIELDS.forEach((field) => {
+    if (data[field] !== undefined) changes[field] = data[field];
+  });
+
+  if (Object.keys(changes).length === 0) {
+    throwAppError(AccountMessages.NOTHING_TO_UPDATE, ERROR_CODE.VALIDATIONERR);
+  }
+
+  if (changes.currency && !isSupportedCurrency(changes.currency)) {
+    throwAppError(
+      `${AccountMessages.UNSUPPORTED_CURRENCY}: ${changes.currency}`,
+      ERROR_CODE.VALIDATIONERR
+    );
+  }
+
+  if (changes.max_debit !== undefined && !(changes.max_debit >= 0)) {
+    throwAppError(`${AccountMessages.INVALID_MAX_DEBIT}: ${data.id}`, ERROR_CODE.VALIDATIONERR);
+  }
+
+  if (changes.overdraft_limit !== undefined && !(changes.overdraft_limit >= 0)) {
+    throwAppError(
+      `${AccountMessages.INVALID_OVERDRAFT_LIMIT}: ${data.id}`,
+      ERROR_CODE.VALIDATIONERR
+    );
+  }
+
+  return accountRepository.runExclusive(async () => {
+    const stored = await accountRepository.get(data.id);
+    if (!stored) {
+      throwAppError(`${AccountMessages.ACCOUNT_NOT_FOUND}: ${data.id}`, ERROR_CODE.NOTFOUND);
+    }
+
+    // Existing balances and holds are in the stored currency, and are not converted
+    const changesCurrency = changes.currency && changes.currency !== stored.currency;
+    if (changesCurrency && (stored.balance !== 0 || (stored.held || 0) !== 0)) {
+      throwAppError(
+        `${AccountMessages.CURRENCY_CHANGE_NOT_ALLOWED}: ${data.id}`,
+        ERROR_CODE.VALIDATIONERR
+      );
+    }
+
+    // Checked against the updated account, since a new currency may have fewer minor units
+    const updated = { ...stored, ...changes };
+    if (updated.balance < -(updated.overdraft_limit || 0)) {
+      throwAppError(
+        `${AccountMessages.BALANCE_BEYOND_OVERDRAFT}: ${data.id} has ${updated.balance}`,
+        ERROR_CODE.VALIDATIONERR
+      );
+    }
+
+    const [inexactField] = listInexactAmountFields(updated);
+    if (inexactField) {
+      throwAppError(
+        `${AccountMessages.INEXACT_AMOUNT}: ${inexactField} ${updated[inexactField]} ${updated.currency}`,
+        ERROR_CODE.VALIDATIONERR
+      );
+    }
+
+    const [account] = await accountRepository.updateMany([{ id: data.id, ...changes }]);
+
+    appLogger.info({ id: account.id, fields: Object.keys(changes) }, 'account-updated');
+
+    return account;
+  });
+}
+
+module.exports = updateAccount;
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { CurrencyMessages } = require('@app/messages');
+
+// Shape of the registry file, see currencies.json for the default registry
+const spec = `root {
+  currencies[] {
+    code string<trim|uppercase>
+    minor_units number
+    symbol string
+    enabled boolean
+    min_amount? number
+    max_amount? number
+  }
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * @typedef {Object} Currency
+ * @property {string} code - ISO 4217 currency code
+ * @property {number} minor_units - Number of decimal places amounts in the currency may have
+ * @property {string} symbol - Display symbol
+ * @property {boolean} enabled - Whether instructions and accounts may use the currency
+ * @property {number|null} min_amount - Smallest amount an instruction may move, in major units
+ * @property {number|null} max_amount - Largest amount an instruction may move, in major units
+ */
+
+/**
+ * Loads and checks the currency registry. The file named by CURRENCY_REGISTRY_FILE is used
+ * when set, otherwise the bundled currencies.json.
+ * @returns {Currency[]}
+ */
+function loadCurrencies() {
+  const filePath = process.env.CURRENCY_REGISTRY_FILE || path.join(__dirname, 'currencies.json');
+  const data = validator.validate(JSON.parse(fs.readFileSync(filePath, 'utf8')), parsedSpec);
+
+  const seenCodes = [];
+  data.currencies.forEach((currency) => {
+    const { code } = currency;
+    const isLetters = code.split('').every((char) => char >= 'A' && char <= 'Z');
+    if (code.length !== 3 || !isLetters) {
+      throwAppError(`${CurrencyMessages.INVALID_CURRENCY_CODE}: ${code}`, ERROR_CODE.VALIDATIONERR);
+    }
+
+    const minorUnits = currency.minor_units;
+    if (!Number.isInteger(minorUnits) || minorUnits < 0 || minorUnits > 8) {
+      throwAppError(`${CurrencyMessages.INVALID_MINOR_UNITS}: ${code}`, ERROR_CODE.VALIDATIONERR);
+    }
+
+    // Limits are optional; each must be a positive amount the currency can represent
+    const limits = [currency.min_amount, currency.max_amount].filter(
+      (limit) => limit !== undefined
+    );
+    const hasValidLimits =
+      limits.every(
+        (limit) =>
+          limit > 0 && Number.isFinite(limit) && Number(limit.toFixed(minorUnits)) === limit
+      ) &&
+      (limits.length < 2 || currency.min_amount <= currency.max_amount);
+    if (!hasValidLimits) {
+      throwAppError(`${CurrencyMessages.INVALID_AMOUNT_LIMITS}: ${code}`, ERROR_CODE.VALIDATIONERR);
+    }
+
+    if (seenCodes.includes(code)) {
+      throwAppError(`${CurrencyMessages.DUPLICATE_CURRENCY}: ${code}`, ERROR_CODE.VALIDATIONERR);
+    }
+    seenCodes.push(code);
+  });
+
+  return data.currencies.map((currency) => ({
+    code: currency.code,
+    minor_units: currency.minor_units,
+    symbol: currency.symbol,
+    enabled: currency.enabled,
+    min_amount: currency.min_amount === undefined ? null : currency.min_amount,
+    max_amount: currency.max_amount === undefined ? null : currency.max_amount,
+  }));
+}
+
+const currencies = loadCurrencies();
+
+/**
+ * @returns {Currency[]} - Every currency in the registry, enabled or not
+ */
+function listCurrencies() {
+  return currencies.map((currency) => ({ ...currency }));
+}
+
+/**
+ * Looks up an enabled currency
+ * @param {string} code - Currency code, case-insensitive
+ * @returns {Currency|null} - The currency, or null if it is unknown or disabled
+ */
+function getCurrency(code) {
+  const upperCode = code.toUpperCase();
+  const currency = currencies.find((c) => c.code === upperCode && c.enabled);
+  return currency ? { ...currency } : null;
+}
+
+/**
+ * @param {string} code - Currency code, case-insensitive
+ * @returns {boolean} - True if the currency is in the registry and enabled
+ */
+function isSupportedCurrency(code) {
+  return getCurrency(code) !== null;
+}
+
+/**
+ * Lists the enabled currency codes for messages, e.g. 'NGN, USD, GBP, and GHS'
+ * @returns {string}
+ */
+function describeSupportedCurrencies() {
+  const codes = currencies.filter((c) => c.enabled).map((c) => c.code);
+  if (codes.length <= 2) return codes.join(' and ');
+  return `${codes.slice(0, -1).join(', ')}, and ${codes[codes.length - 1]}`;
+}
+
+module.exports = {
+  listCurrencies,
+  getCurrency,
+  isSupportedCurrency,
+  describeSupportedCurrencies,
+};
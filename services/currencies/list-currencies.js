@@ -0,0 +1,20 @@
+const validator = require('@app-core/validator');
+const { listCurrencies: listRegisteredCurrencies } = require('./currency-registry');
+
+const spec = `root {
+  enabled? string(true|false)
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+async function listCurrencies(serviceData = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  const currencies = listRegisteredCurrencies();
+  if (!data.enabled) return currencies;
+
+  const enabled = data.enabled === 'true';
+  return currencies.filter((currency) => currency.enabled === enabled);
+}
+
+module.exports = listCurrencies;
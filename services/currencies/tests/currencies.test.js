@@ -0,0 +1,131 @@
+const { describe, it, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { ERROR_CODE } = require('@app-core/errors');
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'currencies-test-'));
+process.env.CURRENCY_REGISTRY_FILE = path.join(storeDir, 'currencies.json');
+process.env.RECEIPT_SIGNING_SECRET = 'test-secret';
+fs.writeFileSync(
+  process.env.CURRENCY_REGISTRY_FILE,
+  JSON.stringify({
+    currencies: [
+      { code: 'USD', minor_units: 2, symbol: '$', enabled: true },
+      { code: 'JPY', minor_units: 0, symbol: '¥', enabled: true },
+      { code: 'EUR', minor_units: 2, symbol: '€', enabled: false },
+    ],
+  })
+);
+
+const listCurrencies = require('../list-currencies');
+const parsePaymentInstruction = require('../../payment-processor/parse-instruction');
+
+after(() => fs.rmSync(storeDir, { recursive: true, force: true }));
+
+/**
+ * Loads the registry in a separate process, since it is read once per process
+ * @returns {{status: number, stderr: string}}
+ */
+function loadRegistry(currencies) {
+  const filePath = path.join(storeDir, 'invalid-currencies.json');
+  fs.writeFileSync(filePath, JSON.stringify({ currencies }));
+
+  return spawnSync(
+    process.execPath,
+    ['-e', `require(${JSON.stringify(path.join(__dirname, '..', 'currency-registry'))})`],
+    { env: { ...process.env, CURRENCY_REGISTRY_FILE: filePath }, encoding: 'utf8' }
+  );
+}
+
+describe('currency registry', () => {
+  it('lists every currency, or only enabled or disabled ones', async () => {
+    assert.deepStrictEqual(
+      (await listCurrencies()).map((currency) => currency.code),
+      ['USD', 'JPY', 'EUR']
+    );
+    assert.deepStrictEqual(
+      (await listCurrencies({ enabled: 'false' })).map((currency) => currency.code),
+      ['EUR']
+    );
+    assert.deepStrictEqual((await listCurrencies({ enabled: 'true' }))[1], {
+      code: 'JPY',
+      minor_units: 0,
+      symbol: '¥',
+      enabled: true,
+      min_amount: null,
+      max_amount: null,
+    });
+  });
+
+  it('rejects instructions in a disabled currency with CU02', async () => {
+    const result = await parsePaymentInstruction({
+      accounts: [
+        { id: 'a', balance: 100, currency: 'USD' },
+        { id: 'b', balance: 0, currency: 'USD' },
+      ],
+      instruction: 'DEBIT 10 EUR FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+    });
+
+    assert.strictEqual(result.status_code, 'CU02');
+    assert.strictEqual(
+      result.status_reason,
+      'Unsupported currency. Only USD and JPY are supported'
+    );
+  });
+
+  it('rejects accounts held in a disabled currency', async () => {
+    await assert.rejects(
+      parsePaymentInstruction({
+        accounts: [
+          { id: 'a', balance: 100, currency: 'EUR' },
+          { id: 'b', balance: 0, currency: 'EUR' },
+        ],
+        instruction: 'DEBIT 10 EUR FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+      }),
+      { errorCode: ERROR_CODE.VALIDATIONERR }
+    );
+  });
+
+  it("uses each currency's minor units", async () => {
+    const accounts = [
+      { id: 'a', balance: 1000, currency: 'JPY' },
+      { id: 'b', balance: 0, currency: 'JPY' },
+    ];
+
+    const whole = await parsePaymentInstruction({
+      accounts,
+      instruction: 'DEBIT 500 JPY FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+    });
+    const fractional = await parsePaymentInstruction({
+      accounts,
+      instruction: 'DEBIT 0.5 JPY FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+    });
+
+    assert.strictEqual(whole.status_code, 'AP00');
+    assert.strictEqual(whole.amount_minor, 500);
+    assert.strictEqual(fractional.status_code, 'AM02');
+  });
+
+  it('refuses to load a registry with invalid entries', () => {
+    const invalidRegistries = [
+      [{ code: 'US', minor_units: 2, symbol: '$', enabled: true }],
+      [{ code: 'USD', minor_units: 9, symbol: '$', enabled: true }],
+      [{ code: 'USD', minor_units: 2, symbol: '$', enabled: true, min_amount: 5, max_amount: 1 }],
+      [
+        { code: 'USD', minor_units: 2, symbol: '$', enabled: true },
+        { code: 'USD', minor_units: 2, symbol: '$', enabled: false },
+      ],
+    ];
+
+    invalidRegistries.forEach((currencies) => {
+      assert.notStrictEqual(loadRegistry(currencies).status, 0, JSON.stringify(currencies));
+    });
+    assert.strictEqual(
+      loadRegistry([{ code: 'USD', minor_units: 2, symbol: '$', enabled: true }]).status,
+      0
+    );
+  });
+});
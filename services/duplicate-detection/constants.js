@@ -0,0 +1,6 @@
+const windowSeconds = parseFloat(process.env.DUPLICATE_INSTRUCTION_WINDOW_SECONDS);
+
+// How long an executed instruction is remembered for duplicate detection; 0 turns it off
+const DUPLICATE_WINDOW_MS = (Number.isFinite(windowSeconds) ? windowSeconds : 60) * 1000;
+
+module.exports = { DUPLICATE_WINDOW_MS };
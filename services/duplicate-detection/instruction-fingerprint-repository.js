@@ -0,0 +1,10 @@
+const path = require('path');
+const createFileRepository = require('../storage/file-repository');
+
+const instructionFingerprintRepository = createFileRepository({
+  filePath:
+    process.env.INSTRUCTION_FINGERPRINT_STORE_FILE ||
+    path.join(process.cwd(), 'account-data', 'instruction-fingerprints.json'),
+});
+
+module.exports = { instructionFingerprintRepository };
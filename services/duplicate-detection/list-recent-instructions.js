@@ -0,0 +1,22 @@
+const { instructionFingerprintRepository } = require('./instruction-fingerprint-repository');
+
+/**
+ * Lists the instructions executed within the duplicate window, forgetting older ones
+ * @returns {Promise<Array<{id: string, fingerprint: string, created_at: string}>>} - Records keyed
+ * by the transaction reference of the instruction that was executed
+ */
+async function listRecentInstructions() {
+  return instructionFingerprintRepository.runExclusive(async () => {
+    const now = Date.now();
+    const records = await instructionFingerprintRepository.list();
+
+    const expiredIds = records
+      .filter((record) => Date.parse(record.expires_at) <= now)
+      .map((record) => record.id);
+    if (expiredIds.length > 0) await instructionFingerprintRepository.removeMany(expiredIds);
+
+    return records.filter((record) => !expiredIds.includes(record.id));
+  });
+}
+
+module.exports = listRecentInstructions;
@@ -0,0 +1,19 @@
+const { instructionFingerprintRepository } = require('./instruction-fingerprint-repository');
+const { DUPLICATE_WINDOW_MS } = require('./constants');
+
+/**
+ * Remembers an executed instruction for the duplicate window
+ * @param {{transaction_reference: string, fingerprint: string}} serviceData
+ * @returns {Promise<void>}
+ */
+async function recordInstruction(serviceData) {
+  await instructionFingerprintRepository.runExclusive(() =>
+    instructionFingerprintRepository.create({
+      id: serviceData.transaction_reference,
+      fingerprint: serviceData.fingerprint,
+      expires_at: new Date(Date.now() + DUPLICATE_WINDOW_MS).toISOString(),
+    })
+  );
+}
+
+module.exports = recordInstruction;
@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { useTempStores } = require('../../../test-helpers/temp-stores');
+
+useTempStores('duplicates');
+
+const createAccount = require('../../accounts/create-account');
+const getAccount = require('../../accounts/get-account');
+const parsePaymentInstruction = require('../../payment-processor/parse-instruction');
+
+describe('duplicate detection', () => {
+  it('rejects a repeat of a recent instruction with DU01, ignoring case, spacing and REF', async () => {
+    await createAccount({ id: 'd1', balance: 100, currency: 'USD' });
+    await createAccount({ id: 'd2', balance: 0, currency: 'USD' });
+
+    const first = await parsePaymentInstruction({
+      instruction: 'DEBIT 10.50 USD FROM ACCOUNT d1 FOR CREDIT TO ACCOUNT d2',
+    });
+    const repeat = await parsePaymentInstruction({
+      instruction: 'debit  10.5 usd from account d1 for credit to account d2 REF retry',
+    });
+
+    assert.strictEqual(first.status_code, 'AP00');
+    assert.strictEqual(repeat.status_code, 'DU01');
+    assert.ok(repeat.status_reason.includes(first.transaction_reference), repeat.status_reason);
+    assert.strictEqual((await getAccount({ id: 'd1' })).balance, 89.5);
+  });
+
+  it('executes the repeat anyway when duplicates are allowed', async () => {
+    const instruction = 'DEBIT 5 USD FROM ACCOUNT d1 FOR CREDIT TO ACCOUNT d2';
+    await parsePaymentInstruction({ instruction });
+
+    const repeat = await parsePaymentInstruction({ instruction }, { allowDuplicate: true });
+
+    assert.strictEqual(repeat.status_code, 'AP00');
+    assert.strictEqual((await getAccount({ id: 'd1' })).balance, 79.5);
+  });
+
+  it('does not count a different amount or failed instructions as duplicates', async () => {
+    const failed = await parsePaymentInstruction({
+      instruction: 'DEBIT 500 USD FROM ACCOUNT d1 FOR CREDIT TO ACCOUNT d2',
+    });
+    const retried = await parsePaymentInstruction({
+      instruction: 'DEBIT 500 USD FROM ACCOUNT d1 FOR CREDIT TO ACCOUNT d2',
+    });
+    const different = await parsePaymentInstruction({
+      instruction: 'DEBIT 6 USD FROM ACCOUNT d1 FOR CREDIT TO ACCOUNT d2',
+    });
+
+    assert.strictEqual(failed.status_code, 'AC01');
+    assert.strictEqual(retried.status_code, 'AC01');
+    assert.strictEqual(different.status_code, 'AP00');
+  });
+
+  it('does not check requests that supply accounts', async () => {
+    const data = {
+      accounts: [
+        { id: 'd1', balance: 100, currency: 'USD' },
+        { id: 'd2', balance: 0, currency: 'USD' },
+      ],
+      instruction: 'DEBIT 6 USD FROM ACCOUNT d1 FOR CREDIT TO ACCOUNT d2',
+    };
+
+    assert.strictEqual((await parsePaymentInstruction(data)).status_code, 'AP00');
+    assert.strictEqual((await parsePaymentInstruction(data)).status_code, 'AP00');
+  });
+});
@@ -0,0 +1,16 @@
+/**
+ * Lifecycle of a hold placed by a HOLD instruction
+ * @readonly
+ * @enum {string}
+ */
+const HOLD_STATUSES = {
+  ACTIVE: 'active', // Funds are reserved on the account
+  CAPTURED: 'captured', // Settled by a CAPTURE instruction
+  RELEASED: 'released', // Cancelled by a RELEASE instruction
+  EXPIRED: 'expired', // Released automatically once expires_at passed
+};
+
+// How long a hold reserves funds before it is released automatically
+const HOLD_EXPIRY_MS = (parseFloat(process.env.HOLD_EXPIRY_MINUTES) || 7 * 24 * 60) * 60 * 1000;
+
+module.exports = { HOLD_STATUSES, HOLD_EXPIRY_MS };
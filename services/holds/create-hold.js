@@ -0,0 +1,29 @@
+const { appLogger } = require('@app-core/logger');
+const { HOLD_STATUSES } = require('./constants');
+const { holdRepository } = require('./hold-repository');
+
+/**
+ * Stores a hold placed by a successful HOLD instruction, keyed by its transaction reference
+ * @param {object} result - Successful HOLD instruction response
+ * @returns {Promise<Object>} - The hold record
+ */
+async function createHold(result) {
+  const record = await holdRepository.runExclusive(() =>
+    holdRepository.create({
+      id: result.transaction_reference,
+      account: result.debit_account,
+      amount: result.amount,
+      amount_minor: result.amount_minor,
+      currency: result.currency,
+      status: HOLD_STATUSES.ACTIVE,
+      expires_at: result.hold.expires_at,
+      settled_by: null,
+    })
+  );
+
+  appLogger.info({ id: record.id, expiresAt: record.expires_at }, 'hold-placed');
+
+  return record;
+}
+
+module.exports = createHold;
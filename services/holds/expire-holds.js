@@ -0,0 +1,46 @@
+const { appLogger } = require('@app-core/logger');
+const { accountRepository } = require('../accounts/account-repository');
+const { adjustHeld } = require('../payment-processor/helpers');
+const { HOLD_STATUSES } = require('./constants');
+const { holdRepository } = require('./hold-repository');
+
+/**
+ * Releases every active hold whose expires_at has passed, freeing its amount on the account
+ * @returns {Promise<Object[]>} - The holds that expired
+ */
+async function expireHolds() {
+  return accountRepository.runExclusive(() =>
+    holdRepository.runExclusive(async () => {
+      const now = Date.now();
+      const expired = (await holdRepository.list()).filter(
+        (hold) => hold.status === HOLD_STATUSES.ACTIVE && Date.parse(hold.expires_at) <= now
+      );
+      if (expired.length === 0) return [];
+
+      const accounts = await accountRepository.list();
+      const accountChanges = [];
+      expired.forEach((hold) => {
+        const account = accounts.find((acc) => acc.id === hold.account);
+        if (!account) return;
+
+        account.held = adjustHeld(account, hold, -1);
+        if (!accountChanges.includes(account)) accountChanges.push(account);
+      });
+
+      if (accountChanges.length > 0) {
+        await accountRepository.updateMany(
+          accountChanges.map((acc) => ({ id: acc.id, held: acc.held }))
+        );
+      }
+      const expiredHolds = await holdRepository.updateMany(
+        expired.map((hold) => ({ id: hold.id, status: HOLD_STATUSES.EXPIRED }))
+      );
+
+      appLogger.info({ holds: expiredHolds.map((hold) => hold.id) }, 'holds-expired');
+
+      return expiredHolds;
+    })
+  );
+}
+
+module.exports = expireHolds;
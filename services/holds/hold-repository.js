@@ -0,0 +1,8 @@
+const path = require('path');
+const createFileRepository = require('../storage/file-repository');
+
+const holdRepository = createFileRepository({
+  filePath: process.env.HOLD_STORE_FILE || path.join(process.cwd(), 'account-data', 'holds.json'),
+});
+
+module.exports = { holdRepository };
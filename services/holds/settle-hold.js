@@ -0,0 +1,25 @@
+const { appLogger } = require('@app-core/logger');
+const { holdRepository } = require('./hold-repository');
+
+/**
+ * Marks a hold as captured or released by a successful CAPTURE or RELEASE instruction
+ * @param {object} result - Successful CAPTURE or RELEASE instruction response
+ * @returns {Promise<Object>} - The updated hold record
+ */
+async function settleHold(result) {
+  const [record] = await holdRepository.runExclusive(() =>
+    holdRepository.updateMany([
+      {
+        id: result.hold.hold_reference,
+        status: result.hold.status,
+        settled_by: result.transaction_reference,
+      },
+    ])
+  );
+
+  appLogger.info({ id: record.id, status: record.status }, 'hold-settled');
+
+  return record;
+}
+
+module.exports = settleHold;
@@ -0,0 +1,85 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { useTempStores } = require('../../../test-helpers/temp-stores');
+
+useTempStores('holds');
+
+const createAccount = require('../../accounts/create-account');
+const getAccount = require('../../accounts/get-account');
+const parsePaymentInstruction = require('../../payment-processor/parse-instruction');
+const expireHolds = require('../expire-holds');
+const { holdRepository } = require('../hold-repository');
+
+const run = (instruction) => parsePaymentInstruction({ instruction });
+const account = (id) => getAccount({ id });
+
+describe('holds', () => {
+  it('holds funds, counts them against the available balance and captures them', async () => {
+    await createAccount({ id: 'h1', balance: 100, currency: 'USD' });
+    await createAccount({ id: 'h2', balance: 0, currency: 'USD' });
+
+    const hold = await run('HOLD 50 USD ON ACCOUNT h1');
+    assert.strictEqual(hold.status_code, 'AP00');
+    assert.strictEqual(hold.hold.hold_reference, hold.transaction_reference);
+    assert.strictEqual(hold.hold.status, 'active');
+    assert.deepStrictEqual([(await account('h1')).balance, (await account('h1')).held], [100, 50]);
+
+    const debit = await run('DEBIT 60 USD FROM ACCOUNT h1 FOR CREDIT TO ACCOUNT h2');
+    assert.strictEqual(debit.status_code, 'AC01');
+
+    const capture = await run(`CAPTURE ${hold.transaction_reference} FOR CREDIT TO ACCOUNT h2`);
+    assert.strictEqual(capture.status_code, 'AP00');
+    assert.deepStrictEqual(
+      [capture.amount, capture.debit_account, capture.hold.status],
+      [50, 'h1', 'captured']
+    );
+    assert.deepStrictEqual([(await account('h1')).balance, (await account('h1')).held], [50, 0]);
+    assert.strictEqual((await account('h2')).balance, 50);
+
+    const release = await run(`RELEASE ${hold.transaction_reference}`);
+    assert.strictEqual(release.status_code, 'HD02');
+  });
+
+  it('releases a hold without moving funds', async () => {
+    await createAccount({ id: 'h3', balance: 20, currency: 'USD' });
+    const hold = await run('HOLD 5 USD ON ACCOUNT h3');
+
+    const release = await run(`RELEASE ${hold.transaction_reference}`);
+
+    assert.strictEqual(release.status_code, 'AP00');
+    assert.strictEqual(release.hold.status, 'released');
+    assert.deepStrictEqual([(await account('h3')).balance, (await account('h3')).held], [20, 0]);
+  });
+
+  it('frees the amount of a hold once it expires', async () => {
+    await createAccount({ id: 'h4', balance: 20, currency: 'USD' });
+    const hold = await run('HOLD 15 USD ON ACCOUNT h4');
+    await holdRepository.runExclusive(() =>
+      holdRepository.updateMany([
+        { id: hold.transaction_reference, expires_at: new Date(0).toISOString() },
+      ])
+    );
+
+    const expired = await expireHolds();
+
+    assert.deepStrictEqual(
+      expired.map((expiredHold) => [expiredHold.id, expiredHold.status]),
+      [[hold.transaction_reference, 'expired']]
+    );
+    assert.strictEqual((await account('h4')).held, 0);
+    assert.strictEqual(
+      (await run(`CAPTURE ${hold.transaction_reference} FOR CREDIT TO ACCOUNT h3`)).status_code,
+      'HD02'
+    );
+  });
+
+  it('rejects unknown holds and requests that supply accounts with HD01', async () => {
+    assert.strictEqual((await run('RELEASE TX0UNKNOWN')).status_code, 'HD01');
+
+    const stateless = await parsePaymentInstruction({
+      accounts: [{ id: 'h1', balance: 10, currency: 'USD' }],
+      instruction: 'HOLD 1 USD ON ACCOUNT h1',
+    });
+    assert.strictEqual(stateless.status_code, 'HD01');
+  });
+});
@@ -0,0 +1,22 @@
+const { idempotencyKeyRepository } = require('./idempotency-key-repository');
+const { IDEMPOTENCY_KEY_STATUSES } = require('./constants');
+
+/**
+ * Stores the response of a request against its reserved idempotency key, so repeat
+ * requests get the same response back
+ * @param {{id: string, response: {status: number, data: Object}}} serviceData
+ * @returns {Promise<void>}
+ */
+async function completeIdempotencyKey(serviceData) {
+  await idempotencyKeyRepository.runExclusive(() =>
+    idempotencyKeyRepository.updateMany([
+      {
+        id: serviceData.id,
+        status: IDEMPOTENCY_KEY_STATUSES.COMPLETED,
+        response: serviceData.response,
+      },
+    ])
+  );
+}
+
+module.exports = completeIdempotencyKey;
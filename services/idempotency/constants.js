@@ -0,0 +1,18 @@
+// Lifecycle of a stored idempotency key
+const IDEMPOTENCY_KEY_STATUSES = {
+  IN_PROGRESS: 'in_progress', // Reserved by a request that hasn't responded yet
+  COMPLETED: 'completed', // Holds the response to replay for repeat requests
+};
+
+// How long a key is remembered before the same key can be reused for a new request
+const IDEMPOTENCY_KEY_RETENTION_MS =
+  (parseFloat(process.env.IDEMPOTENCY_KEY_RETENTION_HOURS) || 24) * 60 * 60 * 1000;
+
+// Longest key accepted in the Idempotency-Key header
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+module.exports = {
+  IDEMPOTENCY_KEY_STATUSES,
+  IDEMPOTENCY_KEY_RETENTION_MS,
+  MAX_IDEMPOTENCY_KEY_LENGTH,
+};
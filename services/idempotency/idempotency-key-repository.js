@@ -0,0 +1,10 @@
+const path = require('path');
+const createFileRepository = require('../storage/file-repository');
+
+const idempotencyKeyRepository = createFileRepository({
+  filePath:
+    process.env.IDEMPOTENCY_STORE_FILE ||
+    path.join(process.cwd(), 'account-data', 'idempotency-keys.json'),
+});
+
+module.exports = { idempotencyKeyRepository };
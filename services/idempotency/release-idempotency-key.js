@@ -0,0 +1,14 @@
+const { idempotencyKeyRepository } = require('./idempotency-key-repository');
+
+/**
+ * Frees a reserved idempotency key after a request errored, so the client can retry with it
+ * @param {{id: string}} serviceData
+ * @returns {Promise<void>}
+ */
+async function releaseIdempotencyKey(serviceData) {
+  await idempotencyKeyRepository.runExclusive(() =>
+    idempotencyKeyRepository.removeMany([serviceData.id])
+  );
+}
+
+module.exports = releaseIdempotencyKey;
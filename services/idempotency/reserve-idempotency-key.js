@@ -0,0 +1,73 @@
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { appLogger } = require('@app-core/logger');
+const hash = require('@app-core/security/hash');
+const { IdempotencyMessages } = require('@app/messages');
+const {
+  IDEMPOTENCY_KEY_STATUSES,
+  IDEMPOTENCY_KEY_RETENTION_MS,
+  MAX_IDEMPOTENCY_KEY_LENGTH,
+} = require('./constants');
+const { canonicalJson } = require('../payment-processor/helpers');
+const { idempotencyKeyRepository } = require('./idempotency-key-repository');
+
+/**
+ * Claims an idempotency key for a request, or returns the response stored for it.
+ * Keys are scoped to the endpoint, so the same key can be used against different endpoints.
+ * The request is identified by its body and query string, since query options such as
+ * explain change the response.
+ * @param {{key: string, scope: string, body: Object, query?: Object}} serviceData
+ * @returns {Promise<{id: string, response: {status: number, data: Object}|null}>} - The stored key ID,
+ * and the response to replay if the key was already completed
+ */
+async function reserveIdempotencyKey(serviceData) {
+  const { key, scope, body, query } = serviceData;
+
+  if (typeof key !== 'string' || key.length === 0 || key.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+    throwAppError(IdempotencyMessages.INVALID_IDEMPOTENCY_KEY, ERROR_CODE.VALIDATIONERR);
+  }
+
+  const id = `${scope}:${key}`;
+  const fingerprint = hash.create(canonicalJson({ body: body || {}, query: query || {} }), {
+    algo: 'sha256',
+  });
+
+  return idempotencyKeyRepository.runExclusive(async () => {
+    // Forget expired keys first so they can be reused
+    const now = Date.now();
+    const expiredIds = (await idempotencyKeyRepository.list())
+      .filter((record) => Date.parse(record.expires_at) <= now)
+      .map((record) => record.id);
+    if (expiredIds.length > 0) await idempotencyKeyRepository.removeMany(expiredIds);
+
+    const record = await idempotencyKeyRepository.get(id);
+
+    if (!record) {
+      await idempotencyKeyRepository.create({
+        id,
+        fingerprint,
+        status: IDEMPOTENCY_KEY_STATUSES.IN_PROGRESS,
+        response: null,
+        expires_at: new Date(now + IDEMPOTENCY_KEY_RETENTION_MS).toISOString(),
+      });
+      return { id, response: null };
+    }
+
+    if (record.fingerprint !== fingerprint) {
+      throwAppError(IdempotencyMessages.KEY_REUSED, ERROR_CODE.DUPLRCRD, {
+        context: { idempotency_key: key },
+      });
+    }
+
+    if (record.status === IDEMPOTENCY_KEY_STATUSES.IN_PROGRESS) {
+      throwAppError(IdempotencyMessages.REQUEST_IN_PROGRESS, ERROR_CODE.DUPLRCRD, {
+        context: { idempotency_key: key },
+      });
+    }
+
+    appLogger.info({ id }, 'idempotent-response-replayed');
+
+    return { id, response: record.response };
+  });
+}
+
+module.exports = reserveIdempotencyKey;
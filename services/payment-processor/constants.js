@@ -0,0 +1,48 @@
+/**
+ * Status codes reported on payment instruction responses
+ * @readonly
+ * @enum {string}
+ */
+const STATUS_CODES = {
+  AM01: 'AM01', // Amount validation
+  AM02: 'AM02', // Amount has more decimal places than the currency allows
+  AM03: 'AM03', // Invalid split credit
+  CU01: 'CU01', // Currency mismatch
+  CU02: 'CU02', // Unsupported currency
+  CU03: 'CU03', // FX rate not available
+  CU04: 'CU04', // Invalid FX rate
+  CU05: 'CU05', // Account holds an unsupported currency
+  AC01: 'AC01', // Insufficient funds
+  AC02: 'AC02', // Same account
+  AC03: 'AC03', // Account not found
+  AC04: 'AC04', // Invalid account ID format
+  AC05: 'AC05', // Account is closed
+  AC06: 'AC06', // Account is frozen
+  AC07: 'AC07', // Debit account is debit-blocked
+  AC08: 'AC08', // Account ID appears more than once in the accounts array
+  AC09: 'AC09', // Account IDs differ only by letter case
+  AC10: 'AC10', // Account balance is not finite, or negative beyond the overdraft limit
+  AC11: 'AC11', // Account held amount is not finite, or negative
+  AC12: 'AC12', // Account amount has more decimal places than its currency allows
+  LM01: 'LM01', // Amount below the currency minimum
+  LM02: 'LM02', // Amount above the currency maximum
+  LM03: 'LM03', // Amount above the debit account's max_debit
+  DU01: 'DU01', // Possible duplicate of a recently executed instruction
+  RV01: 'RV01', // Original transaction not found
+  RV02: 'RV02', // Original transaction already fully reversed, or refund exceeds what is left
+  RV03: 'RV03', // Refund currency differs from the original transaction
+  RV04: 'RV04', // Original transaction cannot be reversed
+  HD01: 'HD01', // Hold not found
+  HD02: 'HD02', // Hold already captured, released or expired
+  DT01: 'DT01', // Invalid date format
+  DT02: 'DT02', // Execution date is in the past
+  DT03: 'DT03', // Ambiguous execution date (time without a UTC offset)
+  DT04: 'DT04', // Invalid recurrence rule
+  SY01: 'SY01', // Missing keyword
+  SY02: 'SY02', // Invalid keyword order
+  SY03: 'SY03', // Malformed instruction
+  AP00: 'AP00', // Success
+  AP02: 'AP02', // Pending
+};
+
+module.exports = { STATUS_CODES };
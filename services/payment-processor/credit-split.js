@@ -0,0 +1,104 @@
+const { PaymentMessages } = require('@app/messages');
+const { STATUS_CODES } = require('./constants');
+const { parseDecimalAmount, toMinorUnits, allocateByPercentages } = require('./money');
+
+/**
+ * @typedef {Object} SplitLeg
+ * @property {string} entry - The leg as written, e.g. 'b:600'
+ * @property {string} accountId - Credit account ID
+ * @property {string} value - Amount or percentage as written, without the % sign
+ * @property {{integerDigits: string, fractionDigits: string}|null} decimal - Parsed value, or null if invalid
+ * @property {boolean} isPercentage - True for percentage legs (b:60%)
+ */
+
+/**
+ * Parses the beneficiary list of a split credit, e.g. 'b:600, c:400' or 'b:60%, c:40%'
+ * @param {string} text - Source text after TO ACCOUNTS
+ * @returns {SplitLeg[]} - Legs in the order written; an entry that isn't [account]:[value] has a null decimal
+ */
+function parseCreditSplit(text) {
+  return text.split(',').map((rawEntry) => {
+    const entry = rawEntry.trim();
+    const separator = entry.lastIndexOf(':');
+    if (separator <= 0) {
+      return { entry, accountId: entry, value: '', decimal: null, isPercentage: false };
+    }
+
+    const accountId = entry.substring(0, separator).trim();
+    let value = entry.substring(separator + 1).trim();
+    const isPercentage = value.endsWith('%');
+    if (isPercentage) value = value.substring(0, value.length - 1).trim();
+
+    return { entry, accountId, value, decimal: parseDecimalAmount(value), isPercentage };
+  });
+}
+
+/**
+ * Works out how much each leg of a split credit receives.
+ * Legs are either all fixed amounts, which must add up to the instruction amount, or all
+ * percentages, which must add up to 100.
+ * @param {SplitLeg[]} legs - Legs from parseCreditSplit, all with a valid decimal
+ * @param {number} amountMinor - Instruction amount in minor units
+ * @param {number} minorUnits - Decimal places of the instruction currency
+ * @returns {{amounts: number[]}|{statusCode: string, statusReason: string}} - Minor-unit amount of
+ * each leg, or the reason the split is rejected
+ */
+function allocateCreditSplit(legs, amountMinor, minorUnits) {
+  const seenAccounts = [];
+  const duplicate = legs.find((leg) => {
+    if (seenAccounts.includes(leg.accountId)) return true;
+    seenAccounts.push(leg.accountId);
+    return false;
+  });
+  if (duplicate) {
+    return {
+      statusCode: STATUS_CODES.AM03,
+      statusReason: `${PaymentMessages.DUPLICATE_SPLIT_ACCOUNT}: ${duplicate.accountId}`,
+    };
+  }
+
+  const percentageLegs = legs.filter((leg) => leg.isPercentage).length;
+  if (percentageLegs > 0 && percentageLegs < legs.length) {
+    return { statusCode: STATUS_CODES.AM03, statusReason: PaymentMessages.MIXED_SPLIT };
+  }
+
+  let amounts;
+  if (percentageLegs > 0) {
+    amounts = allocateByPercentages(
+      amountMinor,
+      legs.map((leg) => leg.decimal)
+    );
+    if (!amounts) {
+      return {
+        statusCode: STATUS_CODES.AM03,
+        statusReason: PaymentMessages.SPLIT_PERCENTAGE_TOTAL,
+      };
+    }
+  } else {
+    amounts = legs.map((leg) => toMinorUnits(leg.decimal, minorUnits));
+
+    const tooPrecise = legs.find((leg, index) => amounts[index] === null);
+    if (tooPrecise) {
+      return {
+        statusCode: STATUS_CODES.AM02,
+        statusReason: `${PaymentMessages.INVALID_AMOUNT_PRECISION}: ${tooPrecise.entry}`,
+      };
+    }
+
+    if (amounts.reduce((sum, amount) => sum + amount, 0) !== amountMinor) {
+      return { statusCode: STATUS_CODES.AM03, statusReason: PaymentMessages.SPLIT_AMOUNT_TOTAL };
+    }
+  }
+
+  const emptyLeg = legs.find((leg, index) => amounts[index] === 0);
+  if (emptyLeg) {
+    return {
+      statusCode: STATUS_CODES.AM03,
+      statusReason: `${PaymentMessages.EMPTY_SPLIT_LEG}: ${emptyLeg.entry}`,
+    };
+  }
+
+  return { amounts };
+}
+
+module.exports = { parseCreditSplit, allocateCreditSplit };
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { DialectMessages } = require('@app/messages');
+const { KEYWORDS } = require('./lexer');
+
+// Dialect reported for the built-in DEBIT, CREDIT, REVERSE, REFUND and hold grammars
+const STANDARD_DIALECT = 'standard';
+
+// Shape of the registry file, see dialects.json for the default registry
+const spec = `root {
+  dialects[] {
+    name string<trim|lowercase>
+    verb string<trim|uppercase>
+    debit_keyword string<trim|uppercase>
+    credit_keyword string<trim|uppercase>
+    credit_first? boolean
+    enabled boolean
+  }
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * @typedef {Object} Dialect
+ * @property {string} name - Reported as the response's `dialect`
+ * @property {string} verb - Leading word of the instruction, e.g. PAY
+ * @property {string} debit_keyword - Word introducing the debit account, e.g. FROM
+ * @property {string} credit_keyword - Word introducing the credit account(s), e.g. TO
+ * @property {boolean} credit_first - Whether the credit account(s) come before the debit account
+ * @property {boolean} enabled - Whether instructions may use the dialect
+ */
+
+/**
+ * @param {string} word
+ * @param {boolean} allowDigits - Also accept digits and hyphens
+ * @returns {boolean} - True if the word is non-empty and only has the allowed characters
+ */
+function isWord(word, allowDigits) {
+  return (
+    word.length > 0 &&
+    word.split('').every((char) => {
+      const upperChar = char.toUpperCase();
+      const isLetter = upperChar >= 'A' && upperChar <= 'Z';
+      const isDigitOrHyphen = (char >= '0' && char <= '9') || char === '-';
+      return isLetter || (allowDigits && isDigitOrHyphen);
+    })
+  );
+}
+
+/**
+ * Loads and checks the dialect registry. The file named by DIALECT_REGISTRY_FILE is used when
+ * set, otherwise the bundled dialects.json.
+ * @returns {Dialect[]}
+ */
+function loadDialects() {
+  const filePath = process.env.DIALECT_REGISTRY_FILE || path.join(__dirname, 'dialects.json');
+  const data = validator.validate(JSON.parse(fs.readFileSync(filePath, 'utf8')), parsedSpec);
+
+  const seen = [];
+  data.dialects.forEach((dialect) => {
+    const { name, verb } = dialect;
+    const debitKeyword = dialect.debit_keyword;
+    const creditKeyword = dialect.credit_keyword;
+
+    if (!isWord(name, true) || name === STANDARD_DIALECT) {
+      throwAppError(`${DialectMessages.INVALID_DIALECT_NAME}: ${name}`, ERROR_CODE.VALIDATIONERR);
+    }
+
+    if (![verb, debitKeyword, creditKeyword].every((word) => isWord(word, false))) {
+      throwAppError(
+        `${DialectMessages.INVALID_DIALECT_KEYWORD}: ${name}`,
+        ERROR_CODE.VALIDATIONERR
+      );
+    }
+
+    // The verb alone decides which grammar parses the instruction
+    if (KEYWORDS.includes(verb)) {
+      throwAppError(`${DialectMessages.RESERVED_DIALECT_VERB}: ${verb}`, ERROR_CODE.VALIDATIONERR);
+    }
+
+    const hasConflict =
+      debitKeyword === creditKeyword ||
+      [debitKeyword, creditKeyword].some(
+        (keyword) => keyword === verb || keyword === 'ACCOUNT' || keyword === 'ACCOUNTS'
+      );
+    if (hasConflict) {
+      throwAppError(
+        `${DialectMessages.DIALECT_KEYWORD_CONFLICT}: ${name}`,
+        ERROR_CODE.VALIDATIONERR
+      );
+    }
+
+    if (seen.includes(name) || seen.includes(verb)) {
+      throwAppError(`${DialectMessages.DUPLICATE_DIALECT}: ${name}`, ERROR_CODE.VALIDATIONERR);
+    }
+    seen.push(name, verb);
+  });
+
+  return data.dialects.map((dialect) => ({
+    name: dialect.name,
+    verb: dialect.verb,
+    debit_keyword: dialect.debit_keyword,
+    credit_keyword: dialect.credit_keyword,
+    credit_first: dialect.credit_first === true,
+    enabled: dialect.enabled,
+  }));
+}
+
+const dialects = loadDialects();
+
+/**
+ * @returns {Dialect[]} - Every enabled dialect
+ */
+function listEnabledDialects() {
+  return dialects.filter((dialect) => dialect.enabled).map((dialect) => ({ ...dialect }));
+}
+
+module.exports = { STANDARD_DIALECT, listEnabledDialects };
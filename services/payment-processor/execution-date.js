@@ -0,0 +1,224 @@
+const { STATUS_CODES } = require('./constants');
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_DAY = 24 * 60 * MS_PER_MINUTE;
+
+// Units accepted by the IN clause, in milliseconds
+const RELATIVE_UNITS = {
+  MINUTE: MS_PER_MINUTE,
+  MINUTES: MS_PER_MINUTE,
+  HOUR: 60 * MS_PER_MINUTE,
+  HOURS: 60 * MS_PER_MINUTE,
+  DAY: MS_PER_DAY,
+  DAYS: MS_PER_DAY,
+  WEEK: 7 * MS_PER_DAY,
+  WEEKS: 7 * MS_PER_DAY,
+};
+
+/**
+ * Parses a fixed-width run of decimal digits
+ * @param {string} str - The digits to parse
+ * @returns {number|null} - The number, or null if the string is empty or has a non-digit
+ */
+function parseDigits(str) {
+  if (str.length === 0) return null;
+  for (let i = 0; i < str.length; i += 1) {
+    if (str[i] < '0' || str[i] > '9') return null;
+  }
+  return parseInt(str, 10);
+}
+
+/**
+ * Parses a YYYY-MM-DD calendar date
+ * @param {string} dateStr - The date string to parse
+ * @returns {{year: number, month: number, day: number}|null} - Date parts, or null if invalid
+ */
+function parseCalendarDate(dateStr) {
+  if (dateStr.length !== 10 || dateStr[4] !== '-' || dateStr[7] !== '-') return null;
+
+  const year = parseDigits(dateStr.substring(0, 4));
+  const month = parseDigits(dateStr.substring(5, 7));
+  const day = parseDigits(dateStr.substring(8, 10));
+  if (year === null || month === null || day === null) return null;
+
+  // Basic range checks
+  if (year < 1000 || month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+  // Reject days that don't exist in the month, e.g. 2026-02-30
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+
+  return { year, month, day };
+}
+
+/**
+ * Parses a time of day: HH:MM, HH:MM:SS or HH:MM:SS.fff
+ * @param {string} timeStr - The time string to parse
+ * @returns {number|null} - Milliseconds since midnight, or null if invalid
+ */
+function parseTimeOfDay(timeStr) {
+  if (timeStr.length < 5 || timeStr[2] !== ':') return null;
+
+  const hours = parseDigits(timeStr.substring(0, 2));
+  const minutes = parseDigits(timeStr.substring(3, 5));
+  let seconds = 0;
+  let milliseconds = 0;
+
+  if (timeStr.length > 5) {
+    if (timeStr[5] !== ':' || timeStr.length < 8) return null;
+    seconds = parseDigits(timeStr.substring(6, 8));
+
+    if (timeStr.length > 8) {
+      if (timeStr[8] !== '.') return null;
+      const fraction = timeStr.substring(9);
+      if (fraction.length > 3 || parseDigits(fraction) === null) return null;
+      milliseconds = parseDigits(fraction.padEnd(3, '0'));
+    }
+  }
+
+  if (hours === null || minutes === null || seconds === null) return null;
+  if (hours > 23 || minutes > 59 || seconds > 59) return null;
+
+  return ((hours * 60 + minutes) * 60 + seconds) * 1000 + milliseconds;
+}
+
+/**
+ * Parses a UTC offset: Z, +HH:MM or +HHMM (or with a minus sign)
+ * @param {string} offsetStr - The offset string to parse
+ * @returns {number|null} - Offset east of UTC in milliseconds, or null if invalid
+ */
+function parseUtcOffset(offsetStr) {
+  if (offsetStr === 'Z') return 0;
+
+  const sign = offsetStr[0];
+  if (sign !== '+' && sign !== '-') return null;
+
+  const digits =
+    offsetStr.length === 6 && offsetStr[3] === ':'
+      ? offsetStr.substring(1, 3) + offsetStr.substring(4)
+      : offsetStr.substring(1);
+  if (digits.length !== 4) return null;
+
+  const hours = parseDigits(digits.substring(0, 2));
+  const minutes = parseDigits(digits.substring(2));
+  if (hours === null || minutes === null || hours > 23 || minutes > 59) return null;
+
+  const offset = (hours * 60 + minutes) * MS_PER_MINUTE;
+  return sign === '+' ? offset : -offset;
+}
+
+/**
+ * Finds where the UTC offset of an ISO 8601 time starts
+ * @param {string} timeStr - Time with an optional offset, e.g. '09:00+01:00'
+ * @returns {number} - Index of the offset, or -1 if the time has none
+ */
+function findOffsetStart(timeStr) {
+  for (let i = 0; i < timeStr.length; i += 1) {
+    if (timeStr[i] === 'Z' || timeStr[i] === '+' || timeStr[i] === '-') return i;
+  }
+  return -1;
+}
+
+/**
+ * Start of the UTC day the given time falls on
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {number}
+ */
+function startOfUtcDay(time) {
+  return time - (((time % MS_PER_DAY) + MS_PER_DAY) % MS_PER_DAY);
+}
+
+function invalidDate() {
+  return { statusCode: STATUS_CODES.DT01 };
+}
+
+/**
+ * Resolves the value of an ON clause
+ * @param {string} value - Upper-cased clause value
+ * @param {number} now - Current time in milliseconds
+ * @returns {{executeAt: number, isDateOnly: boolean}|{statusCode: string}}
+ */
+function resolveOnClause(value, now) {
+  if (value === 'TODAY') return { executeAt: startOfUtcDay(now), isDateOnly: true };
+  if (value === 'TOMORROW') return { executeAt: startOfUtcDay(now) + MS_PER_DAY, isDateOnly: true };
+
+  const timeSeparator = value.indexOf('T');
+  const calendarDate = parseCalendarDate(
+    timeSeparator === -1 ? value : value.substring(0, timeSeparator)
+  );
+  if (!calendarDate) return invalidDate();
+
+  const midnight = Date.UTC(calendarDate.year, calendarDate.month - 1, calendarDate.day);
+  if (timeSeparator === -1) return { executeAt: midnight, isDateOnly: true };
+
+  const timeWithOffset = value.substring(timeSeparator + 1);
+  const offsetStart = findOffsetStart(timeWithOffset);
+  const timeOfDay = parseTimeOfDay(
+    offsetStart === -1 ? timeWithOffset : timeWithOffset.substring(0, offsetStart)
+  );
+  if (timeOfDay === null) return invalidDate();
+
+  // A wall-clock time without an offset could be in any timezone
+  if (offsetStart === -1) return { statusCode: STATUS_CODES.DT03 };
+
+  const offset = parseUtcOffset(timeWithOffset.substring(offsetStart));
+  if (offset === null) return invalidDate();
+
+  return { executeAt: midnight + timeOfDay - offset, isDateOnly: false };
+}
+
+/**
+ * Resolves the value of an IN clause, e.g. '3 DAYS'
+ * @param {string} value - Upper-cased clause value
+ * @param {number} now - Current time in milliseconds
+ * @returns {{executeAt: number, isDateOnly: boolean}|{statusCode: string}}
+ */
+function resolveInClause(value, now) {
+  const parts = value.split(' ').filter((part) => part.length > 0);
+  if (parts.length !== 2 || !RELATIVE_UNITS[parts[1]]) return invalidDate();
+
+  const count = parseDigits(parts[0]);
+  if (count === null || count === 0) return invalidDate();
+
+  const executeAt = now + count * RELATIVE_UNITS[parts[1]];
+  if (!Number.isFinite(new Date(executeAt).getTime())) return invalidDate();
+
+  return { executeAt, isDateOnly: false };
+}
+
+/**
+ * Resolves the schedule clause of an instruction to a UTC execution time.
+ *
+ * `ON` takes a YYYY-MM-DD date (midnight UTC), an ISO 8601 datetime with a UTC offset,
+ * TODAY or TOMORROW. `IN` takes a positive whole number of minutes, hours, days or weeks
+ * from now. A date-only value for the current UTC day executes immediately; anything
+ * earlier is in the past.
+ * @param {{keyword: string, value: string}} schedule - Clause keyword (ON or IN) and its value
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {{executeBy: string, isDue: boolean}|{statusCode: string}} - Canonical UTC timestamp and
+ * whether it has already arrived, or the DT status code describing why the clause is rejected
+ */
+function resolveExecutionDate(schedule, now = Date.now()) {
+  const value = schedule.value.toUpperCase();
+  const resolved =
+    schedule.keyword === 'IN' ? resolveInClause(value, now) : resolveOnClause(value, now);
+  if (resolved.statusCode) return resolved;
+
+  const isPast = resolved.isDateOnly
+    ? resolved.executeAt < startOfUtcDay(now)
+    : resolved.executeAt < now;
+  if (isPast) return { statusCode: STATUS_CODES.DT02 };
+
+  return {
+    executeBy: new Date(resolved.executeAt).toISOString(),
+    isDue: resolved.executeAt <= now,
+  };
+}
+
+module.exports = {
+  MS_PER_DAY,
+  parseDigits,
+  parseCalendarDate,
+  startOfUtcDay,
+  resolveExecutionDate,
+};
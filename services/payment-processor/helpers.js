@@ -0,0 +1,107 @@
+const { getCurrency } = require('../currencies/currency-registry');
+const { fitsMinorUnits, balanceToMinorUnits, fromMinorUnits } = require('./money');
+
+// Account fields that hold an amount in the account's currency
+const ACCOUNT_AMOUNT_FIELDS = ['balance', 'overdraft_limit', 'max_debit', 'held'];
+
+/**
+ * Validates account ID format (letters, numbers, hyphens, periods, @ symbols only)
+ * @param {string} accountId - The account ID to validate
+ * @returns {boolean} - True if valid, false otherwise
+ */
+function isValidAccountId(accountId) {
+  // Check if account ID contains only allowed characters
+  for (let i = 0; i < accountId.length; i += 1) {
+    const char = accountId[i];
+    const isLetter = (char >= 'a' && char <= 'z') || (char >= 'A' && char <= 'Z');
+    const isNumber = char >= '0' && char <= '9';
+    const isAllowedSpecial = char === '-' || char === '.' || char === '@';
+
+    if (!isLetter && !isNumber && !isAllowedSpecial) {
+      return false;
+    }
+  }
+  return accountId.length > 0;
+}
+
+/**
+ * Lists the amount fields of an account that have more decimal places than its currency allows
+ * @param {{currency: string}} account - Account from the request or store
+ * @returns {string[]} - Field names, empty if every amount fits or the currency is unsupported
+ */
+function listInexactAmountFields(account) {
+  const currency = getCurrency(account.currency);
+  if (!currency) return [];
+
+  return ACCOUNT_AMOUNT_FIELDS.filter(
+    (field) =>
+      Number.isFinite(account[field]) && !fitsMinorUnits(account[field], currency.minor_units)
+  );
+}
+
+/**
+ * Works out what an account can spend: its balance plus any overdraft_limit, less funds held
+ * @param {{currency: string, overdraft_limit?: number, held?: number}} account - Account from the
+ * request or store
+ * @param {number} balance - The account's balance in major units
+ * @param {number} [held] - The account's held amount in major units; defaults to account.held
+ * @returns {number} - Available balance in major units
+ */
+function availableBalance(account, balance, held = account.held || 0) {
+  const overdraftLimit = account.overdraft_limit || 0;
+  const currency = getCurrency(account.currency);
+  if (!currency) return balance + overdraftLimit - held;
+
+  const minorUnits = currency.minor_units;
+  return fromMinorUnits(
+    balanceToMinorUnits(balance, minorUnits) +
+      balanceToMinorUnits(overdraftLimit, minorUnits) -
+      balanceToMinorUnits(held, minorUnits),
+    minorUnits
+  );
+}
+
+/**
+ * Works out an account's held amount after a hold is placed on it or freed
+ * @param {{currency: string, held?: number}} account - Account from the store
+ * @param {{amount: number, amount_minor: number}} hold - Amount of the hold
+ * @param {number} direction - 1 to place the hold, -1 to free it
+ * @returns {number} - Held amount in major units
+ */
+function adjustHeld(account, hold, direction) {
+  const held = account.held || 0;
+  const currency = getCurrency(account.currency);
+  if (!currency) return held + direction * hold.amount;
+
+  const minorUnits = currency.minor_units;
+  return fromMinorUnits(
+    balanceToMinorUnits(held, minorUnits) + direction * hold.amount_minor,
+    minorUnits
+  );
+}
+
+/**
+ * Serialises a value as JSON with object keys sorted, so values that only differ in
+ * key order serialise identically
+ * @param {*} value
+ * @returns {string}
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+module.exports = {
+  isValidAccountId,
+  listInexactAmountFields,
+  availableBalance,
+  adjustHeld,
+  canonicalJson,
+};
@@ -0,0 +1,57 @@
+const { PaymentMessages } = require('@app/messages');
+const { STATUS_CODES } = require('./constants');
+const { HOLD_STATUSES } = require('../holds/constants');
+
+// Instruction types that place or settle a hold
+const HOLD_TYPES = ['HOLD', 'CAPTURE', 'RELEASE'];
+
+/**
+ * Resolves a HOLD, CAPTURE or RELEASE instruction. Holds are kept in the account store, so
+ * none of them can run against request-supplied accounts. CAPTURE and RELEASE take their
+ * account, amount and currency from the active hold they name.
+ * @param {object} parsed - Parsed HOLD, CAPTURE or RELEASE instruction
+ * @param {object|null} [hold] - Stored hold named by the instruction, null if there is none (or
+ * the instruction is a HOLD), or undefined when the instruction isn't run against the account store
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {object|{statusCode: string, statusReason: string}} - Instruction parts taken from the
+ * hold, or why the instruction is rejected
+ */
+function resolveHold(parsed, hold, now = Date.now()) {
+  const { holdReference } = parsed;
+
+  if (hold === undefined) {
+    return {
+      statusCode: STATUS_CODES.HD01,
+      statusReason: PaymentMessages.HOLD_REQUIRES_ACCOUNT_STORE,
+    };
+  }
+  if (parsed.type === 'HOLD') return {};
+
+  if (hold === null) {
+    return {
+      statusCode: STATUS_CODES.HD01,
+      statusReason: `${PaymentMessages.HOLD_NOT_FOUND}: ${holdReference}`,
+    };
+  }
+
+  // The expiry sweep may not have run yet
+  const status =
+    hold.status === HOLD_STATUSES.ACTIVE && Date.parse(hold.expires_at) <= now
+      ? HOLD_STATUSES.EXPIRED
+      : hold.status;
+  if (status !== HOLD_STATUSES.ACTIVE) {
+    return {
+      statusCode: STATUS_CODES.HD02,
+      statusReason: `${PaymentMessages.HOLD_NOT_ACTIVE}: ${holdReference} is ${status}`,
+    };
+  }
+
+  return {
+    debitAccount: hold.account,
+    amount: String(hold.amount),
+    currency: hold.currency,
+    hold,
+  };
+}
+
+module.exports = { HOLD_TYPES, resolveHold };
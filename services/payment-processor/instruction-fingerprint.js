@@ -0,0 +1,79 @@
+const hash = require('@app-core/security/hash');
+const { canonicalJson } = require('./helpers');
+const { parseCreditSplit } = require('./credit-split');
+const { parseDecimalAmount } = require('./money');
+
+/**
+ * Upper-cases a clause value and collapses runs of whitespace to single spaces
+ * @param {string|null} value
+ * @returns {string|null}
+ */
+function normaliseText(value) {
+  if (value === null) return null;
+  return value
+    .toUpperCase()
+    .split(' ')
+    .filter((part) => part.length > 0)
+    .join(' ');
+}
+
+/**
+ * Writes an amount without leading or trailing zeros, so 010.50 and 10.5 compare equal
+ * @param {string} amount - Amount as written
+ * @returns {string} - The normalised amount, or the amount as written if it isn't a decimal
+ */
+function normaliseAmount(amount) {
+  const decimal = parseDecimalAmount(amount);
+  if (!decimal) return amount;
+
+  let { integerDigits, fractionDigits } = decimal;
+  while (integerDigits.length > 1 && integerDigits[0] === '0') {
+    integerDigits = integerDigits.substring(1);
+  }
+  while (fractionDigits.endsWith('0')) {
+    fractionDigits = fractionDigits.substring(0, fractionDigits.length - 1);
+  }
+  return fractionDigits.length > 0 ? `${integerDigits}.${fractionDigits}` : integerDigits;
+}
+
+/**
+ * Fingerprints what a parsed instruction does: its type, amount, currency, accounts (or the
+ * transfer or hold it acts on) and schedule, ignoring letter case and spacing. References,
+ * memos and rates are left out, so the same transfer resubmitted with a different REF still
+ * matches.
+ * @param {object} parsed - Result of parseInstruction, without a diagnostic
+ * @returns {string} - SHA-256 hex digest
+ */
+function fingerprintInstruction(parsed) {
+  const { type, amount, currency, debitAccount, creditAccount, creditSplit, schedule } = parsed;
+  const originalReference = parsed.originalReference || parsed.holdReference || null;
+
+  const creditAccounts =
+    creditSplit === null
+      ? [normaliseText(creditAccount)]
+      : parseCreditSplit(creditSplit).map(
+          (leg) =>
+            `${normaliseText(leg.accountId)}:${normaliseAmount(leg.value)}${leg.isPercentage ? '%' : ''}`
+        );
+
+  const canonical = {
+    type,
+    amount: normaliseAmount(amount),
+    currency: normaliseText(currency),
+    debit_account: normaliseText(debitAccount),
+    credit_accounts: creditAccounts,
+    original_reference: originalReference,
+    // Only standing orders have an anchor, end date and count
+    schedule: schedule && {
+      keyword: schedule.keyword,
+      value: normaliseText(schedule.value),
+      anchor: normaliseText(schedule.anchor || null),
+      until: normaliseText(schedule.until || null),
+      count: normaliseText(schedule.count || null),
+    },
+  };
+
+  return hash.create(canonicalJson(canonical), { algo: 'sha256' });
+}
+
+module.exports = fingerprintInstruction;
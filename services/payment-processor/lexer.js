@@ -0,0 +1,488 @@
+const { throwAppError } = require('@app-core/errors');
+const { STATUS_CODES } = require('./constants');
+
+// Token types produced by the lexer
+const TOKEN_TYPES = {
+  KEYWORD: 'keyword',
+  NUMBER: 'number',
+  CURRENCY: 'currency',
+  IDENTIFIER: 'identifier',
+  DATE: 'date',
+  STRING: 'string',
+};
+
+// Reserved words of the instruction grammar (matched case-insensitively, whole words only)
+const KEYWORDS = [
+  'DEBIT',
+  'CREDIT',
+  'FROM',
+  'TO',
+  'ACCOUNT',
+  'ACCOUNTS',
+  'FOR',
+  'ON',
+  'IN',
+  'EVERY',
+  'UNTIL',
+  'AT',
+  'RATE',
+  'REF',
+  'MEMO',
+  'REVERSE',
+  'REFUND',
+  'OF',
+  'HOLD',
+  'CAPTURE',
+  'RELEASE',
+];
+
+/**
+ * Checks if a character is whitespace
+ * @param {string} char - The character to check
+ * @returns {boolean} - True if whitespace, false otherwise
+ */
+function isWhitespace(char) {
+  return char === ' ' || char === '\t' || char === '\n' || char === '\r';
+}
+
+/**
+ * Checks if a character is a decimal digit
+ * @param {string} char - The character to check
+ * @returns {boolean} - True if digit, false otherwise
+ */
+function isDigit(char) {
+  return char >= '0' && char <= '9';
+}
+
+/**
+ * Checks if a character is an ASCII letter
+ * @param {string} char - The character to check
+ * @returns {boolean} - True if letter, false otherwise
+ */
+function isLetter(char) {
+  return (char >= 'a' && char <= 'z') || (char >= 'A' && char <= 'Z');
+}
+
+/**
+ * Checks if a word is a number (digits with at most one decimal point between them)
+ * @param {string} word - The word to check
+ * @returns {boolean} - True if the word is numeric, false otherwise
+ */
+function isNumberWord(word) {
+  let seenPoint = false;
+  for (let i = 0; i < word.length; i += 1) {
+    if (word[i] === '.') {
+      if (seenPoint || i === 0 || i === word.length - 1) return false;
+      seenPoint = true;
+    } else if (!isDigit(word[i])) {
+      return false;
+    }
+  }
+  return word.length > 0;
+}
+
+/**
+ * Checks if a word has the shape of a YYYY-MM-DD date (validity is checked later)
+ * @param {string} word - The word to check
+ * @returns {boolean} - True if the word looks like a date, false otherwise
+ */
+function isDateWord(word) {
+  if (word.length !== 10 || word[4] !== '-' || word[7] !== '-') return false;
+  for (let i = 0; i < word.length; i += 1) {
+    if (i !== 4 && i !== 7 && !isDigit(word[i])) return false;
+  }
+  return true;
+}
+
+/**
+ * Checks if a word has the shape of a currency code (three letters)
+ * @param {string} word - The word to check
+ * @returns {boolean} - True if the word looks like a currency code, false otherwise
+ */
+function isCurrencyWord(word) {
+  return word.length === 3 && isLetter(word[0]) && isLetter(word[1]) && isLetter(word[2]);
+}
+
+/**
+ * Determines the token type of a single word
+ * @param {string} word - The word to classify
+ * @returns {string} - One of TOKEN_TYPES
+ */
+function classifyWord(word) {
+  const upperWord = word.toUpperCase();
+  if (KEYWORDS.includes(upperWord)) return TOKEN_TYPES.KEYWORD;
+  if (isNumberWord(word)) return TOKEN_TYPES.NUMBER;
+  if (isDateWord(word)) return TOKEN_TYPES.DATE;
+  if (isCurrencyWord(word)) return TOKEN_TYPES.CURRENCY;
+  return TOKEN_TYPES.IDENTIFIER;
+}
+
+/**
+ * Reads a double-quoted string starting at the opening quote.
+ * Inside the quotes, \" is a literal quote and \\ a literal backslash; everything else,
+ * reserved words included, is plain text.
+ * @param {string} instruction - The raw instruction string
+ * @param {number} start - Index of the opening quote
+ * @returns {{type: string, value: string, upper: string, start: number, end: number, terminated: boolean}}
+ */
+function readQuotedString(instruction, start) {
+  let value = '';
+  let index = start + 1;
+  let terminated = false;
+
+  while (index < instruction.length && !terminated) {
+    const char = instruction[index];
+    const next = instruction[index + 1];
+    if (char === '\\' && (next === '"' || next === '\\')) {
+      value += next;
+      index += 2;
+    } else if (char === '"') {
+      terminated = true;
+      index += 1;
+    } else {
+      value += char;
+      index += 1;
+    }
+  }
+
+  return {
+    type: TOKEN_TYPES.STRING,
+    value,
+    upper: value.toUpperCase(),
+    start,
+    end: index,
+    terminated,
+  };
+}
+
+/**
+ * Splits an instruction into whitespace-separated tokens with source offsets.
+ * Double-quoted text becomes a single string token, whitespace and all.
+ * Token types are purely lexical hints; the grammar decides what each position means.
+ * @param {string} instruction - The raw instruction string
+ * @returns {Array<{type: string, value: string, upper: string, start: number, end: number}>}
+ */
+function tokenizeInstruction(instruction) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < instruction.length) {
+    if (isWhitespace(instruction[index])) {
+      index += 1;
+    } else if (instruction[index] === '"') {
+      const token = readQuotedString(instruction, index);
+      tokens.push(token);
+      index = token.end;
+    } else {
+      const start = index;
+      while (index < instruction.length && !isWhitespace(instruction[index])) {
+        index += 1;
+      }
+
+      const value = instruction.substring(start, index);
+      tokens.push({
+        type: classifyWord(value),
+        value,
+        upper: value.toUpperCase(),
+        start,
+        end: index,
+      });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Computes the edit distance between two words, counting an adjacent transposition as one edit
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @returns {number} - Number of single-character edits needed to turn a into b
+ */
+function editDistance(a, b) {
+  const distances = [];
+  for (let i = 0; i <= a.length; i += 1) {
+    distances.push([i]);
+    for (let j = 1; j <= b.length; j += 1) {
+      distances[i].push(i === 0 ? j : 0);
+    }
+  }
+
+  for (let i = 1; i <= a.length; i += 1) {
+    for (let j = 1; j <= b.length; j += 1) {
+      const substitutionCost = a[i - 1] === b[j - 1] ? 0 : 1;
+      distances[i][j] = Math.min(
+        distances[i - 1][j] + 1,
+        distances[i][j - 1] + 1,
+        distances[i - 1][j - 1] + substitutionCost
+      );
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return distances[a.length][b.length];
+}
+
+/**
+ * Finds the keyword a misspelled word was most likely meant to be
+ * @param {string} word - The word to check
+ * @param {string[]} candidates - Keywords to compare against
+ * @returns {string|null} - The closest keyword, or null if none is close enough
+ */
+function suggestKeyword(word, candidates) {
+  const upperWord = word.toUpperCase();
+  let suggestion = null;
+  let bestDistance = Infinity;
+
+  candidates.forEach((keyword) => {
+    // Short keywords only tolerate a single typo, otherwise everything looks like TO or ON
+    const maxDistance = keyword.length <= 4 ? 1 : 2;
+    const distance = editDistance(upperWord, keyword);
+    if (distance > 0 && distance <= maxDistance && distance < bestDistance) {
+      suggestion = keyword;
+      bestDistance = distance;
+    }
+  });
+
+  return suggestion;
+}
+
+/**
+ * Creates a cursor used by the instruction grammars to walk a token stream.
+ * Grammar violations are thrown as application errors whose context is a diagnostic
+ * ({ expected, found, position, suggestion }) and whose errorCode is SY01, SY02 or SY03.
+ * @param {string} source - The raw instruction string the tokens were produced from
+ * @param {Array<Object>} tokens - Tokens returned by tokenizeInstruction
+ * @returns {Object} - Token cursor
+ */
+function createTokenCursor(source, tokens) {
+  let position = 0;
+  // Bounds of the last value run, where a misspelled keyword may have been swallowed
+  let lastRun = { start: 0, end: 0 };
+  // Clauses recognised so far, as { name, startToken, endToken }
+  const clauses = [];
+  // Token types as the grammar resolved them, starting from the lexer's guesses
+  const types = tokens.map((token) => token.type);
+
+  function beginClause(name) {
+    if (clauses.length > 0) clauses[clauses.length - 1].endToken = position;
+    clauses.push({ name, startToken: position, endToken: null });
+  }
+
+  // Keywords are matched by spelling wherever the grammar expects one; the token type is only
+  // the lexer's guess, so a word like HOLD can still be an account ID elsewhere
+  function isKeyword(token, keyword) {
+    return !!token && token.type !== TOKEN_TYPES.STRING && token.upper === keyword;
+  }
+
+  function consumeKeyword() {
+    types[position] = TOKEN_TYPES.KEYWORD;
+    position += 1;
+  }
+
+  /**
+   * Checks if the token at the given index can start a value. Quoted strings never can; only
+   * expectString takes them. A reserved word is taken as a value only when the value is clearly
+   * over after it, i.e. it is the last token or is followed by one of the keywords that may
+   * come next.
+   */
+  function canStartValue(index, follow) {
+    const token = tokens[index];
+    if (!token || token.type === TOKEN_TYPES.STRING) return false;
+    if (token.type !== TOKEN_TYPES.KEYWORD) return true;
+    const next = tokens[index + 1];
+    return !next || follow.some((keyword) => isKeyword(next, keyword));
+  }
+
+  // A value run stops at the first reserved word, quoted string or keyword that may follow it
+  function continuesValue(index, follow) {
+    const token = tokens[index];
+    return (
+      !!token &&
+      token.type !== TOKEN_TYPES.KEYWORD &&
+      token.type !== TOKEN_TYPES.STRING &&
+      !follow.some((keyword) => isKeyword(token, keyword))
+    );
+  }
+
+  function consumeValue() {
+    const token = tokens[position];
+    if (types[position] === TOKEN_TYPES.KEYWORD) types[position] = TOKEN_TYPES.IDENTIFIER;
+    position += 1;
+    return token;
+  }
+
+  function fail(statusCode, expected, suggestion = null, token = tokens[position]) {
+    throwAppError(`Expected ${expected}`, statusCode, {
+      context: {
+        expected,
+        found: token ? token.value : null,
+        position: token ? token.start : source.length,
+        suggestion,
+      },
+    });
+  }
+
+  /**
+   * Reports that one of the given keywords was expected at the current position.
+   * A near-miss spelling means the keyword is missing (SY01, with a hint); a keyword that
+   * only appears further along means the keywords are out of order (SY02).
+   */
+  function failKeyword(keywords) {
+    const expected = keywords.join(' or ');
+
+    const candidates = [tokens[position]];
+    if (lastRun.end === position) {
+      candidates.push(...tokens.slice(lastRun.start, lastRun.end).reverse());
+    }
+    candidates.forEach((token) => {
+      if (token && token.type !== TOKEN_TYPES.KEYWORD) {
+        const suggestion = suggestKeyword(token.value, keywords);
+        if (suggestion) fail(STATUS_CODES.SY01, expected, suggestion, token);
+      }
+    });
+
+    const appearsLater = tokens
+      .slice(position)
+      .some((token) => keywords.some((keyword) => isKeyword(token, keyword)));
+    fail(appearsLater ? STATUS_CODES.SY02 : STATUS_CODES.SY01, expected);
+  }
+
+  return {
+    /**
+     * Marks the start of a named clause at the current token; the previous clause ends here
+     * @param {string} name
+     */
+    beginClause,
+
+    /**
+     * Lists the clauses recognised so far; an unfinished clause runs up to the current token
+     * @returns {Array<{name: string, text: string, position: number}>}
+     */
+    getClauses() {
+      return clauses
+        .map((clause) => {
+          const endToken = clause.endToken === null ? position : clause.endToken;
+          const first = tokens[clause.startToken];
+          const last = tokens[Math.min(endToken, tokens.length) - 1];
+          if (!first || !last || endToken <= clause.startToken) return null;
+          return {
+            name: clause.name,
+            text: source.substring(first.start, last.end),
+            position: first.start,
+          };
+        })
+        .filter((clause) => clause !== null);
+    },
+
+    /**
+     * Lists the tokens with the types the grammar gave them so far
+     * @returns {Array<Object>}
+     */
+    getTokens() {
+      return tokens.map((token, index) => ({ ...token, type: types[index] }));
+    },
+
+    peek() {
+      return tokens[position] || null;
+    },
+
+    atEnd() {
+      return position >= tokens.length;
+    },
+
+    /**
+     * Consumes the next token if it is the given keyword
+     * @param {string} keyword
+     * @param {string} [clauseName] - Clause the keyword starts, if it is found
+     * @returns {boolean}
+     */
+    acceptKeyword(keyword, clauseName) {
+      if (!isKeyword(tokens[position], keyword)) return false;
+      if (clauseName) beginClause(clauseName);
+      consumeKeyword();
+      return true;
+    },
+
+    /**
+     * Consumes each of the given keywords in order
+     * @param {...string} keywords
+     */
+    expectKeywords(...keywords) {
+      keywords.forEach((keyword) => {
+        if (!isKeyword(tokens[position], keyword)) failKeyword([keyword]);
+        consumeKeyword();
+      });
+    },
+
+    /**
+     * Consumes a keyword that must be one of the given alternatives
+     * @param {string[]} keywords
+     * @returns {string} - The keyword that was found
+     */
+    expectOneOfKeywords(keywords) {
+      const keyword = keywords.find((k) => isKeyword(tokens[position], k));
+      if (!keyword) failKeyword(keywords);
+      consumeKeyword();
+      return keyword;
+    },
+
+    /**
+     * Consumes a single value token
+     * @param {string} name - Name of the expected value, used in diagnostics
+     * @param {string[]} [follow] - Keywords that may come right after the value
+     * @returns {Object} - The consumed token
+     */
+    expectValue(name, follow = []) {
+      if (!canStartValue(position, follow)) fail(STATUS_CODES.SY03, name);
+      return consumeValue();
+    },
+
+    /**
+     * Consumes one or more value tokens up to the next keyword or the end
+     * @param {string} name - Name of the expected value, used in diagnostics
+     * @param {string[]} [follow] - Keywords that may come right after the value
+     * @returns {string} - Source text spanned by the consumed tokens
+     */
+    expectValueRun(name, follow = []) {
+      if (!canStartValue(position, follow)) fail(STATUS_CODES.SY03, name);
+
+      const runStart = position;
+      const first = consumeValue();
+      let last = first;
+      while (continuesValue(position, follow)) {
+        last = consumeValue();
+      }
+      lastRun = { start: runStart, end: position };
+      return source.substring(first.start, last.end);
+    },
+
+    /**
+     * Consumes a double-quoted string
+     * @param {string} name - Name of the expected value, used in diagnostics
+     * @returns {string} - The string's text, without quotes
+     */
+    expectString(name) {
+      const token = tokens[position];
+      if (!token || token.type !== TOKEN_TYPES.STRING) fail(STATUS_CODES.SY03, `quoted ${name}`);
+      if (!token.terminated) fail(STATUS_CODES.SY03, 'closing quote', null, null);
+      position += 1;
+      return token.value;
+    },
+
+    expectEnd() {
+      if (position < tokens.length) fail(STATUS_CODES.SY03, 'end of instruction');
+    },
+  };
+}
+
+module.exports = {
+  TOKEN_TYPES,
+  KEYWORDS,
+  tokenizeInstruction,
+  suggestKeyword,
+  createTokenCursor,
+};
@@ -0,0 +1,189 @@
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { PaymentMessages } = require('@app/messages');
+
+/**
+ * Splits a decimal amount string into its integer and fraction digits
+ * @param {string} amountStr - The amount string to parse, e.g. '10.50'
+ * @returns {{integerDigits: string, fractionDigits: string}|null} - Digits, or null if not a positive number
+ */
+function parseDecimalAmount(amountStr) {
+  if (!amountStr || amountStr.length === 0) return null;
+
+  const pointIndex = amountStr.indexOf('.');
+  const integerDigits = pointIndex === -1 ? amountStr : amountStr.substring(0, pointIndex);
+  const fractionDigits = pointIndex === -1 ? '' : amountStr.substring(pointIndex + 1);
+
+  // A decimal point needs digits on both sides
+  if (integerDigits.length === 0) return null;
+  if (pointIndex !== -1 && fractionDigits.length === 0) return null;
+
+  // Check if all characters are digits (this also rejects signs and a second point)
+  const digits = integerDigits + fractionDigits;
+  let hasNonZeroDigit = false;
+  for (let i = 0; i < digits.length; i += 1) {
+    if (digits[i] < '0' || digits[i] > '9') return null;
+    if (digits[i] !== '0') hasNonZeroDigit = true;
+  }
+
+  if (!hasNonZeroDigit) return null;
+
+  return { integerDigits, fractionDigits };
+}
+
+/**
+ * Converts a parsed decimal amount into integer minor units
+ * @param {{integerDigits: string, fractionDigits: string}} decimalAmount - Result of parseDecimalAmount
+ * @param {number} minorUnits - Number of decimal places the currency allows
+ * @returns {number|null} - Amount in minor units, or null if it has too many decimal places
+ */
+function toMinorUnits(decimalAmount, minorUnits) {
+  const { integerDigits, fractionDigits } = decimalAmount;
+
+  // Trailing zeros don't add precision, so 10.500 USD is still a valid amount
+  let significantFraction = fractionDigits;
+  while (significantFraction.length > 0 && significantFraction.endsWith('0')) {
+    significantFraction = significantFraction.substring(0, significantFraction.length - 1);
+  }
+
+  if (significantFraction.length > minorUnits) return null;
+
+  return parseInt(integerDigits + significantFraction.padEnd(minorUnits, '0'), 10);
+}
+
+/**
+ * Checks that a JSON number in major units is a whole number of minor units, e.g. 10.5 USD
+ * but not 10.005 USD
+ * @param {number} value - The value in major units
+ * @param {number} minorUnits - Number of decimal places the currency allows
+ * @returns {boolean}
+ */
+function fitsMinorUnits(value, minorUnits) {
+  if (!Number.isFinite(value) || Number(value.toFixed(minorUnits)) !== value) return false;
+  return Number.isSafeInteger(Math.round(value * 10 ** minorUnits));
+}
+
+/**
+ * Converts an account balance (a JSON number in major units) into integer minor units.
+ * Balances are never rounded: one with more decimal places than the currency allows is
+ * rejected, since rounding it would create or destroy money.
+ * @param {number} balance - The balance in major units
+ * @param {number} minorUnits - Number of decimal places the currency allows
+ * @returns {number} - Balance in minor units
+ */
+function balanceToMinorUnits(balance, minorUnits) {
+  if (!fitsMinorUnits(balance, minorUnits)) {
+    throwAppError(
+      `${PaymentMessages.INEXACT_ACCOUNT_AMOUNT}: ${balance}`,
+      ERROR_CODE.VALIDATIONERR
+    );
+  }
+
+  const fixed = balance.toFixed(minorUnits);
+  return parseInt(minorUnits > 0 ? fixed.replace('.', '') : fixed, 10);
+}
+
+/**
+ * Converts integer minor units back into a major-unit number for responses
+ * @param {number} minor - Amount in minor units
+ * @param {number} minorUnits - Number of decimal places the currency allows
+ * @returns {number} - Amount in major units
+ */
+function fromMinorUnits(minor, minorUnits) {
+  return minor / 10 ** minorUnits;
+}
+
+/**
+ * Formats a scaled integer as a plain decimal string, e.g. (150025n, 2) => '1500.25'
+ * @param {bigint} value - The scaled integer
+ * @param {number} scale - Number of decimal places the value is scaled by
+ * @returns {string} - Decimal string without trailing fraction zeros
+ */
+function formatScaledDecimal(value, scale) {
+  const sign = value < 0n ? '-' : '';
+  const digits = (value < 0n ? -value : value).toString().padStart(scale + 1, '0');
+
+  const integerDigits = digits.substring(0, digits.length - scale);
+  let fractionDigits = digits.substring(digits.length - scale);
+  while (fractionDigits.length > 0 && fractionDigits.endsWith('0')) {
+    fractionDigits = fractionDigits.substring(0, fractionDigits.length - 1);
+  }
+
+  return fractionDigits.length > 0
+    ? `${sign}${integerDigits}.${fractionDigits}`
+    : `${sign}${integerDigits}`;
+}
+
+/**
+ * Converts a minor-unit amount into another currency, rounding half up to the target minor units.
+ * All arithmetic is done on integers, so the reported exact amount carries no floating point error.
+ * @param {number} amountMinor - Amount in the source currency's minor units
+ * @param {number} sourceMinorUnits - Decimal places of the source currency
+ * @param {number} targetMinorUnits - Decimal places of the target currency
+ * @param {{integerDigits: string, fractionDigits: string}} rate - Target units per source unit, from parseDecimalAmount
+ * @returns {{minor: number, exact: string, adjustment: string}} - Rounded target amount in minor units,
+ * the unrounded target amount and the rounding adjustment (rounded minus exact), both in major units
+ */
+function convertMinorUnits(amountMinor, sourceMinorUnits, targetMinorUnits, rate) {
+  const rateScale = rate.fractionDigits.length;
+  const scaledRate = BigInt(rate.integerDigits + rate.fractionDigits);
+
+  // exact target minor units = numerator / denominator
+  const numerator = BigInt(amountMinor) * scaledRate * 10n ** BigInt(targetMinorUnits);
+  const denominator = 10n ** BigInt(sourceMinorUnits + rateScale);
+  const roundedMinor = (numerator + denominator / 2n) / denominator;
+
+  const exactScale = sourceMinorUnits + rateScale + targetMinorUnits;
+  return {
+    minor: Number(roundedMinor),
+    exact: formatScaledDecimal(numerator, exactScale),
+    adjustment: formatScaledDecimal(roundedMinor * denominator - numerator, exactScale),
+  };
+}
+
+/**
+ * Splits a minor-unit amount by percentages using the largest remainder method, so the
+ * shares always add up to the amount. Leftover minor units go to the shares with the largest
+ * rounded-off fractions, earlier shares first on ties.
+ * @param {number} amountMinor - Amount to split, in minor units
+ * @param {Array<{integerDigits: string, fractionDigits: string}>} percentages - From parseDecimalAmount
+ * @returns {number[]|null} - Share of each percentage in minor units, or null if they don't add up to 100
+ */
+function allocateByPercentages(amountMinor, percentages) {
+  const scale = Math.max(...percentages.map((pct) => pct.fractionDigits.length));
+  const scaled = percentages.map((pct) =>
+    BigInt(pct.integerDigits + pct.fractionDigits.padEnd(scale, '0'))
+  );
+
+  const hundred = 100n * 10n ** BigInt(scale);
+  if (scaled.reduce((sum, pct) => sum + pct, 0n) !== hundred) return null;
+
+  const amount = BigInt(amountMinor);
+  const shares = scaled.map((pct) => ({
+    minor: (amount * pct) / hundred,
+    remainder: (amount * pct) % hundred,
+  }));
+
+  let leftover = amount - shares.reduce((sum, share) => sum + share.minor, 0n);
+  const byRemainder = shares
+    .map((share, index) => index)
+    .sort((a, b) => {
+      if (shares[a].remainder === shares[b].remainder) return a - b;
+      return shares[b].remainder > shares[a].remainder ? 1 : -1;
+    });
+  for (let i = 0; leftover > 0n; i += 1) {
+    shares[byRemainder[i]].minor += 1n;
+    leftover -= 1n;
+  }
+
+  return shares.map((share) => Number(share.minor));
+}
+
+module.exports = {
+  parseDecimalAmount,
+  toMinorUnits,
+  fitsMinorUnits,
+  balanceToMinorUnits,
+  fromMinorUnits,
+  convertMinorUnits,
+  allocateByPercentages,
+};
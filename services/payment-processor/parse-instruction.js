@@ -1,671 +1,820 @@
 const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
 const { appLogger } = require('@app-core/logger');
-const { PaymentMessages } = require('@app/messages');
+const { PaymentMessages, RuleMessages } = require('@app/messages');
+const { STATUS_CODES } = require('./constants');
+const { availableBalance, adjustHeld } = require('./helpers');
+const { parseCreditSplit } = require('./credit-split');
+const { getCurrency } = require('../currencies/currency-registry');
+const { accountRepository } = require('../accounts/account-repository');
+const scheduleInstruction = require('../scheduler/schedule-instruction');
+const signReceipt = require('../receipts/sign-receipt');
+const listRecentInstructions = require('../duplicate-detection/list-recent-instructions');
+const recordInstruction = require('../duplicate-detection/record-instruction');
+const { DUPLICATE_WINDOW_MS } = require('../duplicate-detection/constants');
+const { transactionRepository } = require('../transactions/transaction-repository');
+const recordTransaction = require('../transactions/record-transaction');
+const { holdRepository } = require('../holds/hold-repository');
+const createHold = require('../holds/create-hold');
+const settleHold = require('../holds/settle-hold');
+const expireHolds = require('../holds/expire-holds');
+const { tokenizeInstruction, createTokenCursor } = require('./lexer');
+const { STANDARD_DIALECT, listEnabledDialects } = require('./dialect-registry');
+const { createRuleTrace } = require('./rule-trace');
+const validateAccountSet = require('./validate-account-set');
+const createTransactionReference = require('./transaction-reference');
+const fingerprintInstruction = require('./instruction-fingerprint');
+const { resolveReversal } = require('./reversal');
+const { HOLD_TYPES, resolveHold } = require('./hold');
+const { HOLD_STATUSES, HOLD_EXPIRY_MS } = require('../holds/constants');
+const { listRules, runRules } = require('./rule-pipeline');
+const { balanceToMinorUnits, fromMinorUnits, convertMinorUnits } = require('./money');
 
 // Define validation spec for the service input
 const spec = `root {
-  accounts[] {
+  accounts[]? {
     id string
     balance number
     currency string
+    max_debit? number
+    overdraft_limit? number
+    held? number
+    status? string(active|frozen|closed|debit_blocked)
   }
   instruction string
+  fx_rates[]? {
+    from string
+    to string
+    rate number
+  }
 }`;
 
 // Parse the spec once (outside the function)
 const parsedSpec = validator.parse(spec);
 
-// Supported currencies
-const SUPPORTED_CURRENCIES = ['NGN', 'USD', 'GBP', 'GHS'];
-
-// Status codes
-const STATUS_CODES = {
-  AM01: 'AM01', // Amount validation
-  CU01: 'CU01', // Currency mismatch
-  CU02: 'CU02', // Unsupported currency
-  AC01: 'AC01', // Insufficient funds
-  AC02: 'AC02', // Same account
-  AC03: 'AC03', // Account not found
-  AC04: 'AC04', // Invalid account ID format
-  DT01: 'DT01', // Invalid date format
-  SY01: 'SY01', // Missing keyword
-  SY02: 'SY02', // Invalid keyword order
-  SY03: 'SY03', // Malformed instruction
-  AP00: 'AP00', // Success
-  AP02: 'AP02', // Pending
-};
+// Keywords of the optional clauses that may follow any grammar, in the order they are written
+const TRAILING_KEYWORDS = ['REF', 'MEMO', 'AT', 'ON', 'IN', 'EVERY'];
 
 /**
- * Validates account ID format (letters, numbers, hyphens, periods, @ symbols only)
- * @param {string} accountId - The account ID to validate
- * @returns {boolean} - True if valid, false otherwise
+ * Lists the trailing keywords that may still follow once the given clause has been written
+ * @param {string} keyword - Keyword of the clause, one of TRAILING_KEYWORDS
+ * @returns {string[]}
  */
-function isValidAccountId(accountId) {
-  // Check if account ID contains only allowed characters
-  for (let i = 0; i < accountId.length; i += 1) {
-    const char = accountId[i];
-    const isLetter = (char >= 'a' && char <= 'z') || (char >= 'A' && char <= 'Z');
-    const isNumber = char >= '0' && char <= '9';
-    const isAllowedSpecial = char === '-' || char === '.' || char === '@';
-
-    if (!isLetter && !isNumber && !isAllowedSpecial) {
-      return false;
-    }
-  }
-  return accountId.length > 0;
+function trailingKeywordsAfter(keyword) {
+  return TRAILING_KEYWORDS.slice(TRAILING_KEYWORDS.indexOf(keyword) + 1);
 }
 
 /**
- * Validates date format (YYYY-MM-DD) and checks if it's a valid date
- * @param {string} dateStr - The date string to validate
- * @returns {boolean} - True if valid, false otherwise
+ * Parses the credit side after TO: ACCOUNT [account_id], or ACCOUNTS [account_id]:[amount], ...
+ * for a split credit
+ * @param {Object} cursor - Token cursor positioned after the TO keyword
+ * @param {string[]} follow - Keywords that may come right after the credit side
+ * @returns {{creditAccount: string|null, creditSplit: string|null}} - The single credit account,
+ * or the split's beneficiary list as written
  */
-function isValidDate(dateStr) {
-  if (!dateStr || dateStr.length !== 10) return false;
+function parseCreditTarget(cursor, follow) {
+  if (cursor.expectOneOfKeywords(['ACCOUNT', 'ACCOUNTS']) === 'ACCOUNTS') {
+    return { creditAccount: null, creditSplit: cursor.expectValueRun('credit accounts', follow) };
+  }
+  return { creditAccount: cursor.expectValueRun('credit account', follow), creditSplit: null };
+}
 
-  // Check format manually: YYYY-MM-DD
-  if (dateStr[4] !== '-' || dateStr[7] !== '-') return false;
+/**
+ * Parses the rest of the DEBIT grammar:
+ * DEBIT [amount] [currency] FROM ACCOUNT [account_id] FOR CREDIT TO ACCOUNT(S) [credit target]
+ * @param {Object} cursor - Token cursor positioned after the DEBIT keyword
+ * @returns {object} - Parsed components
+ */
+function parseDebitInstruction(cursor) {
+  const amount = cursor.expectValue('amount').value;
+  const currency = cursor.expectValue('currency').upper;
 
-  const year = dateStr.substring(0, 4);
-  const month = dateStr.substring(5, 7);
-  const day = dateStr.substring(8, 10);
+  cursor.beginClause('debit');
+  cursor.expectKeywords('FROM', 'ACCOUNT');
+  const debitAccount = cursor.expectValueRun('debit account', ['FOR']);
 
-  // Check if all parts are numeric
-  for (let i = 0; i < year.length; i += 1) {
-    if (year[i] < '0' || year[i] > '9') return false;
-  }
-  for (let i = 0; i < month.length; i += 1) {
-    if (month[i] < '0' || month[i] > '9') return false;
-  }
-  for (let i = 0; i < day.length; i += 1) {
-    if (day[i] < '0' || day[i] > '9') return false;
-  }
+  cursor.beginClause('credit');
+  cursor.expectKeywords('FOR', 'CREDIT', 'TO');
+  const creditTarget = parseCreditTarget(cursor, TRAILING_KEYWORDS);
 
-  const yearNum = parseInt(year, 10);
-  const monthNum = parseInt(month, 10);
-  const dayNum = parseInt(day, 10);
-
-  // Basic range checks
-  if (monthNum < 1 || monthNum > 12) return false;
-  if (dayNum < 1 || dayNum > 31) return false;
-  if (yearNum < 1000) return false;
-
-  // Create date and verify it's valid
-  const date = new Date(Date.UTC(yearNum, monthNum - 1, dayNum));
-  return (
-    date.getUTCFullYear() === yearNum &&
-    date.getUTCMonth() === monthNum - 1 &&
-    date.getUTCDate() === dayNum
-  );
+  return { type: 'DEBIT', amount, currency, debitAccount, ...creditTarget };
 }
 
 /**
- * Compares instruction date with current UTC date
- * @param {string} dateStr - Date in YYYY-MM-DD format
- * @returns {string} - 'past', 'today', or 'future'
+ * Parses the rest of the CREDIT grammar:
+ * CREDIT [amount] [currency] TO ACCOUNT(S) [credit target] FOR DEBIT FROM ACCOUNT [account_id]
+ * @param {Object} cursor - Token cursor positioned after the CREDIT keyword
+ * @returns {object} - Parsed components
  */
-function compareDateWithToday(dateStr) {
-  const now = new Date();
-  const todayUTC = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
-
-  const parts = dateStr.split('-');
-  const instructionDate = new Date(
-    Date.UTC(parseInt(parts[0], 10), parseInt(parts[1], 10) - 1, parseInt(parts[2], 10))
-  );
-
-  if (instructionDate < todayUTC) return 'past';
-  if (instructionDate.getTime() === todayUTC.getTime()) return 'today';
-  return 'future';
+function parseCreditInstruction(cursor) {
+  const amount = cursor.expectValue('amount').value;
+  const currency = cursor.expectValue('currency').upper;
+
+  cursor.beginClause('credit');
+  cursor.expectKeywords('TO');
+  const creditTarget = parseCreditTarget(cursor, ['FOR']);
+
+  cursor.beginClause('debit');
+  cursor.expectKeywords('FOR', 'DEBIT', 'FROM', 'ACCOUNT');
+  const debitAccount = cursor.expectValueRun('debit account', TRAILING_KEYWORDS);
+
+  return { type: 'CREDIT', amount, currency, debitAccount, ...creditTarget };
 }
 
 /**
- * Validates if a string is a positive integer
- * @param {string} amountStr - The amount string to validate
- * @returns {boolean} - True if valid positive integer, false otherwise
+ * Parses the rest of a standing order clause:
+ * EVERY [frequency] [ON [anchor]] (UNTIL [date] | FOR [n] TIMES)
+ * @param {Object} cursor - Token cursor positioned after the EVERY keyword
+ * @returns {object} - Schedule with the raw frequency, anchor, end date and count
  */
-function isPositiveInteger(amountStr) {
-  if (!amountStr || amountStr.length === 0) return false;
-
-  // Check for decimal point or negative sign
-  if (amountStr.indexOf('.') !== -1 || amountStr.indexOf('-') !== -1) return false;
+function parseRecurrenceClause(cursor) {
+  const schedule = {
+    keyword: 'EVERY',
+    value: cursor.expectValueRun('frequency', ['ON', 'UNTIL', 'FOR']),
+    anchor: null,
+    until: null,
+    count: null,
+  };
+
+  if (cursor.acceptKeyword('ON')) {
+    schedule.anchor = cursor.expectValueRun('day', ['UNTIL', 'FOR']);
+  }
 
-  // Check if all characters are digits
-  for (let i = 0; i < amountStr.length; i += 1) {
-    if (amountStr[i] < '0' || amountStr[i] > '9') return false;
+  if (cursor.expectOneOfKeywords(['UNTIL', 'FOR']) === 'UNTIL') {
+    schedule.until = cursor.expectValueRun('end date');
+  } else {
+    schedule.count = cursor.expectValueRun('number of times');
   }
 
-  const num = parseInt(amountStr, 10);
-  return num > 0;
+  return schedule;
 }
 
 /**
- * Finds the index of a keyword in the instruction (case-insensitive)
- * @param {string} instruction - The instruction string
- * @param {string} keyword - The keyword to find
- * @param {number} startFrom - Index to start searching from
- * @returns {number} - Index of keyword or -1 if not found
+ * Parses the rest of the REVERSE grammar: REVERSE [transaction_reference]
+ * @param {Object} cursor - Token cursor positioned after the REVERSE keyword
+ * @returns {object} - Parsed components; the accounts and amount come from the original transfer
  */
-function findKeywordIndex(instruction, keyword, startFrom = 0) {
-  const lowerInstruction = instruction.toLowerCase();
-  const lowerKeyword = keyword.toLowerCase();
-  return lowerInstruction.indexOf(lowerKeyword, startFrom);
+function parseReverseInstruction(cursor) {
+  const originalReference = cursor.expectValue('transaction reference', TRAILING_KEYWORDS).upper;
+
+  return {
+    type: 'REVERSE',
+    amount: null,
+    currency: null,
+    debitAccount: null,
+    creditAccount: null,
+    creditSplit: null,
+    originalReference,
+  };
 }
 
 /**
- * Extracts text between two positions
- * @param {string} instruction - The instruction string
- * @param {number} startPos - Start position (after start keyword)
- * @param {number} endPos - End position (before end keyword), -1 means end of string
- * @returns {string} - Extracted and trimmed text
+ * Parses the rest of the REFUND grammar: REFUND [amount] [currency] OF [transaction_reference]
+ * @param {Object} cursor - Token cursor positioned after the REFUND keyword
+ * @returns {object} - Parsed components; the accounts come from the original transfer
  */
-function extractBetween(instruction, startPos, endPos) {
-  if (endPos === -1) {
-    return instruction.substring(startPos).trim();
-  }
-  return instruction.substring(startPos, endPos).trim();
+function parseRefundInstruction(cursor) {
+  const amount = cursor.expectValue('amount').value;
+  const currency = cursor.expectValue('currency').upper;
+
+  cursor.beginClause('original');
+  cursor.expectKeywords('OF');
+  const originalReference = cursor.expectValue('transaction reference', TRAILING_KEYWORDS).upper;
+
+  return {
+    type: 'REFUND',
+    amount,
+    currency,
+    debitAccount: null,
+    creditAccount: null,
+    creditSplit: null,
+    originalReference,
+  };
 }
 
 /**
- * Parse instruction and extract components
- * @param {string} instruction - The instruction string
- * @returns {object} - Parsed components or null if cannot parse
+ * Parses the rest of the HOLD grammar: HOLD [amount] [currency] ON ACCOUNT [account_id]
+ * @param {Object} cursor - Token cursor positioned after the HOLD keyword
+ * @returns {object} - Parsed components
  */
-function parseInstruction(instruction) {
-  const trimmedInstruction = instruction.trim();
-
-  // Check if instruction starts with DEBIT or CREDIT
-  const startsWithDebit = findKeywordIndex(trimmedInstruction, 'DEBIT', 0) === 0;
-  const startsWithCredit = findKeywordIndex(trimmedInstruction, 'CREDIT', 0) === 0;
-
-  if (!startsWithDebit && !startsWithCredit) {
-    return null; // Cannot determine type
-  }
-
-  const type = startsWithDebit ? 'DEBIT' : 'CREDIT';
-  let amount = null;
-  let currency = null;
-  let debitAccount = null;
-  let creditAccount = null;
-  let executeBy = null;
-
-  try {
-    if (type === 'DEBIT') {
-      // DEBIT format: DEBIT [amount] [currency] FROM ACCOUNT [account_id] FOR CREDIT TO ACCOUNT [account_id] [ON [date]]
-
-      // Find amount and currency (between DEBIT and FROM)
-      const fromIndex = findKeywordIndex(trimmedInstruction, 'FROM', 5);
-      if (fromIndex === -1) return null;
-
-      const amountCurrencyPart = extractBetween(trimmedInstruction, 5, fromIndex);
-      const amountCurrencyTokens = amountCurrencyPart.split(' ').filter((t) => t.length > 0);
-
-      if (amountCurrencyTokens.length < 2) return null;
+function parseHoldInstruction(cursor) {
+  const amount = cursor.expectValue('amount').value;
+  const currency = cursor.expectValue('currency').upper;
+
+  cursor.beginClause('debit');
+  cursor.expectKeywords('ON', 'ACCOUNT');
+  const debitAccount = cursor.expectValueRun('hold account', TRAILING_KEYWORDS);
+
+  return {
+    type: 'HOLD',
+    amount,
+    currency,
+    debitAccount,
+    creditAccount: null,
+    creditSplit: null,
+    holdReference: null,
+  };
+}
 
-      amount = amountCurrencyTokens[0];
-      currency = amountCurrencyTokens[1].toUpperCase();
+/**
+ * Parses the rest of the CAPTURE grammar:
+ * CAPTURE [hold_reference] FOR CREDIT TO ACCOUNT(S) [credit target]
+ * @param {Object} cursor - Token cursor positioned after the CAPTURE keyword
+ * @returns {object} - Parsed components; the debit account and amount come from the hold
+ */
+function parseCaptureInstruction(cursor) {
+  const holdReference = cursor.expectValue('hold reference', ['FOR']).upper;
+
+  cursor.beginClause('credit');
+  cursor.expectKeywords('FOR', 'CREDIT', 'TO');
+  const creditTarget = parseCreditTarget(cursor, TRAILING_KEYWORDS);
+
+  return {
+    type: 'CAPTURE',
+    amount: null,
+    currency: null,
+    debitAccount: null,
+    ...creditTarget,
+    holdReference,
+  };
+}
 
-      // Find debit account (between FROM ACCOUNT and FOR)
-      const accountKeywordAfterFrom = findKeywordIndex(trimmedInstruction, 'ACCOUNT', fromIndex);
-      if (accountKeywordAfterFrom === -1) return null;
+/**
+ * Parses the rest of the RELEASE grammar: RELEASE [hold_reference]
+ * @param {Object} cursor - Token cursor positioned after the RELEASE keyword
+ * @returns {object} - Parsed components; the account and amount come from the hold
+ */
+function parseReleaseInstruction(cursor) {
+  const holdReference = cursor.expectValue('hold reference', TRAILING_KEYWORDS).upper;
+
+  return {
+    type: 'RELEASE',
+    amount: null,
+    currency: null,
+    debitAccount: null,
+    creditAccount: null,
+    creditSplit: null,
+    holdReference,
+  };
+}
 
-      const forIndex = findKeywordIndex(trimmedInstruction, 'FOR', accountKeywordAfterFrom + 7);
-      if (forIndex === -1) return null;
+/**
+ * Parses the rest of a synonym grammar from the dialect registry, e.g. for PAY:
+ * PAY [amount] [currency] FROM [ACCOUNT] [account_id] TO [ACCOUNT(S)] [credit target].
+ * The ACCOUNT keyword is optional on both sides, and credit_first dialects name the credit
+ * side first. The result is the same as for the DEBIT or CREDIT grammar.
+ * @param {Object} cursor - Token cursor positioned after the dialect's verb
+ * @param {Object} dialect - Dialect from the dialect registry
+ * @returns {object} - Parsed components
+ */
+function parseDialectInstruction(cursor, dialect) {
+  const amount = cursor.expectValue('amount').value;
+  const currency = cursor.expectValue('currency').upper;
+
+  const debitFollow = dialect.credit_first ? TRAILING_KEYWORDS : [dialect.credit_keyword];
+  const creditFollow = dialect.credit_first ? [dialect.debit_keyword] : TRAILING_KEYWORDS;
+
+  const parseDebitSide = () => {
+    cursor.beginClause('debit');
+    cursor.expectKeywords(dialect.debit_keyword);
+    cursor.acceptKeyword('ACCOUNT');
+    return cursor.expectValueRun('debit account', debitFollow);
+  };
+  const parseCreditSide = () => {
+    cursor.beginClause('credit');
+    cursor.expectKeywords(dialect.credit_keyword);
+    if (cursor.acceptKeyword('ACCOUNTS')) {
+      return {
+        creditAccount: null,
+        creditSplit: cursor.expectValueRun('credit accounts', creditFollow),
+      };
+    }
+    cursor.acceptKeyword('ACCOUNT');
+    return {
+      creditAccount: cursor.expectValueRun('credit account', creditFollow),
+      creditSplit: null,
+    };
+  };
 
-      debitAccount = extractBetween(
-        trimmedInstruction,
-        accountKeywordAfterFrom + 7,
-        forIndex
-      ).trim();
+  if (dialect.credit_first) {
+    const creditTarget = parseCreditSide();
+    return { type: 'CREDIT', amount, currency, debitAccount: parseDebitSide(), ...creditTarget };
+  }
+  const debitAccount = parseDebitSide();
+  return { type: 'DEBIT', amount, currency, debitAccount, ...parseCreditSide() };
+}
 
-      // Find credit account (between FOR CREDIT TO ACCOUNT and ON or end)
-      const creditIndex = findKeywordIndex(trimmedInstruction, 'CREDIT', forIndex);
-      if (creditIndex === -1) return null;
+// Instruction grammars keyed by their leading keyword
+const GRAMMARS = {
+  DEBIT: parseDebitInstruction,
+  CREDIT: parseCreditInstruction,
+  REVERSE: parseReverseInstruction,
+  REFUND: parseRefundInstruction,
+  HOLD: parseHoldInstruction,
+  CAPTURE: parseCaptureInstruction,
+  RELEASE: parseReleaseInstruction,
+};
 
-      const toIndex = findKeywordIndex(trimmedInstruction, 'TO', creditIndex + 6);
-      if (toIndex === -1) return null;
+// Synonym grammars from the dialect registry. Their words are only keywords at the verb, debit
+// and credit positions of their own grammar, so they stay usable as account IDs elsewhere.
+const DIALECTS = listEnabledDialects();
 
-      const accountKeywordAfterTo = findKeywordIndex(trimmedInstruction, 'ACCOUNT', toIndex);
-      if (accountKeywordAfterTo === -1) return null;
+/**
+ * Parse instruction and extract components
+ * @param {string} instruction - The instruction string
+ * @returns {object} - Parsed components, or { diagnostic } describing why parsing failed, along
+ * with the tokens and clauses recognised for explain mode
+ */
+function parseInstruction(instruction) {
+  const tokens = tokenizeInstruction(instruction);
+  const cursor = createTokenCursor(instruction, tokens);
+  const recognised = () => ({
+    tokens: cursor.getTokens().map((token) => ({
+      type: token.type,
+      value: token.value,
+      position: token.start,
+    })),
+    clauses: cursor.getClauses(),
+  });
 
-      const onIndex = findKeywordIndex(trimmedInstruction, 'ON', accountKeywordAfterTo + 7);
+  try {
+    cursor.beginClause('payment');
+    const leadingKeyword = cursor.expectOneOfKeywords([
+      ...Object.keys(GRAMMARS),
+      ...DIALECTS.map((dialect) => dialect.verb),
+    ]);
+    const dialect = DIALECTS.find((d) => d.verb === leadingKeyword);
+    const parsed = dialect
+      ? parseDialectInstruction(cursor, dialect)
+      : GRAMMARS[leadingKeyword](cursor);
+    // Reversals and holds act immediately, in the currency of the transfer or hold they name,
+    // so only plain transfers take a rate or schedule
+    const isTransfer = parsed.type === 'DEBIT' || parsed.type === 'CREDIT';
+
+    // Optional trailing clauses, shared by every grammar:
+    // [REF [reference]] [MEMO "[text]"] [AT RATE [rate]] [ON [date] | IN [delay] | EVERY [frequency] ...]
+    let reference = null;
+    if (cursor.acceptKeyword('REF', 'reference')) {
+      reference = cursor.expectValue('reference', trailingKeywordsAfter('REF')).value;
+    }
 
-      if (onIndex !== -1) {
-        creditAccount = extractBetween(
-          trimmedInstruction,
-          accountKeywordAfterTo + 7,
-          onIndex
-        ).trim();
+    let memo = null;
+    if (cursor.acceptKeyword('MEMO', 'memo')) {
+      memo = cursor.expectString('memo');
+    }
 
-        // Extract date after ON
-        executeBy = extractBetween(trimmedInstruction, onIndex + 2, -1).trim();
-      } else {
-        creditAccount = extractBetween(trimmedInstruction, accountKeywordAfterTo + 7, -1).trim();
+    let rate = null;
+    let schedule = null;
+    if (isTransfer) {
+      if (cursor.acceptKeyword('AT', 'rate')) {
+        cursor.expectKeywords('RATE');
+        rate = cursor.expectValue('rate', trailingKeywordsAfter('AT')).value;
       }
-    } else {
-      // CREDIT format: CREDIT [amount] [currency] TO ACCOUNT [account_id] FOR DEBIT FROM ACCOUNT [account_id] [ON [date]]
-
-      // Find amount and currency (between CREDIT and TO)
-      const toIndex = findKeywordIndex(trimmedInstruction, 'TO', 6);
-      if (toIndex === -1) return null;
 
-      const amountCurrencyPart = extractBetween(trimmedInstruction, 6, toIndex);
-      const amountCurrencyTokens = amountCurrencyPart.split(' ').filter((t) => t.length > 0);
+      if (cursor.acceptKeyword('ON', 'schedule')) {
+        schedule = { keyword: 'ON', value: cursor.expectValueRun('date') };
+      } else if (cursor.acceptKeyword('IN', 'schedule')) {
+        schedule = { keyword: 'IN', value: cursor.expectValueRun('delay') };
+      } else if (cursor.acceptKeyword('EVERY', 'schedule')) {
+        schedule = parseRecurrenceClause(cursor);
+      }
+    }
+    cursor.expectEnd();
 
-      if (amountCurrencyTokens.length < 2) return null;
+    return {
+      ...parsed,
+      dialect: dialect ? dialect.name : STANDARD_DIALECT,
+      reference,
+      memo,
+      rate,
+      schedule,
+      ...recognised(),
+    };
+  } catch (error) {
+    if (!error.isApplicationError) {
+      appLogger.errorX(error, 'parse-instruction-parsing-error');
+      return {
+        diagnostic: {
+          status_code: STATUS_CODES.SY03,
+          expected: null,
+          found: null,
+          position: null,
+          suggestion: null,
+        },
+        ...recognised(),
+      };
+    }
+    return { diagnostic: { status_code: error.errorCode, ...error.context }, ...recognised() };
+  }
+}
 
-      amount = amountCurrencyTokens[0];
-      currency = amountCurrencyTokens[1].toUpperCase();
+// Message prefixes for each syntax status code
+const SYNTAX_MESSAGES = {
+  [STATUS_CODES.SY01]: PaymentMessages.MISSING_KEYWORD,
+  [STATUS_CODES.SY02]: PaymentMessages.INVALID_KEYWORD_ORDER,
+  [STATUS_CODES.SY03]: PaymentMessages.MALFORMED_INSTRUCTION,
+};
 
-      // Find credit account (between TO ACCOUNT and FOR)
-      const accountKeywordAfterTo = findKeywordIndex(trimmedInstruction, 'ACCOUNT', toIndex);
-      if (accountKeywordAfterTo === -1) return null;
+/**
+ * Builds a human readable status reason from a parse diagnostic
+ * @param {object} diagnostic - Diagnostic returned by parseInstruction
+ * @returns {string} - e.g. 'Missing required keyword: expected FROM at position 13, found "FRM". Did you mean FROM?'
+ */
+function describeDiagnostic(diagnostic) {
+  const { status_code: statusCode, expected, found, position, suggestion } = diagnostic;
+  let reason = SYNTAX_MESSAGES[statusCode];
+
+  if (expected) {
+    const foundText = found === null ? 'end of instruction' : `"${found}"`;
+    reason = `${reason}: expected ${expected} at position ${position}, found ${foundText}`;
+  } else {
+    reason = `${reason}: unable to parse keywords`;
+  }
 
-      const forIndex = findKeywordIndex(trimmedInstruction, 'FOR', accountKeywordAfterTo + 7);
-      if (forIndex === -1) return null;
+  if (suggestion) {
+    reason = `${reason}. Did you mean ${suggestion}?`;
+  }
 
-      creditAccount = extractBetween(
-        trimmedInstruction,
-        accountKeywordAfterTo + 7,
-        forIndex
-      ).trim();
+  return reason;
+}
 
-      // Find debit account (between FOR DEBIT FROM ACCOUNT and ON or end)
-      const debitIndex = findKeywordIndex(trimmedInstruction, 'DEBIT', forIndex);
-      if (debitIndex === -1) return null;
+/**
+ * Rebuilds the schedule clause as written, for responses that fail before it is resolved
+ * @param {object} schedule - Schedule returned by parseInstruction
+ * @returns {string} - e.g. '2026-12-31', 'IN 3 DAYS' or 'EVERY MONTH ON DAY 1 FOR 12 TIMES'
+ */
+function describeSchedule(schedule) {
+  if (schedule.keyword === 'ON') return schedule.value;
+  if (schedule.keyword === 'IN') return `IN ${schedule.value}`;
 
-      const fromIndex = findKeywordIndex(trimmedInstruction, 'FROM', debitIndex + 5);
-      if (fromIndex === -1) return null;
+  const anchor = schedule.anchor === null ? '' : ` ON ${schedule.anchor}`;
+  const end = schedule.until === null ? `FOR ${schedule.count}` : `UNTIL ${schedule.until}`;
+  return `EVERY ${schedule.value}${anchor} ${end}`;
+}
 
-      const accountKeywordAfterFrom = findKeywordIndex(trimmedInstruction, 'ACCOUNT', fromIndex);
-      if (accountKeywordAfterFrom === -1) return null;
+// Success messages for instructions that don't simply transfer funds
+const SUCCESS_MESSAGES = {
+  HOLD: PaymentMessages.FUNDS_HELD,
+  CAPTURE: PaymentMessages.HOLD_CAPTURED,
+};
 
-      const onIndex = findKeywordIndex(trimmedInstruction, 'ON', accountKeywordAfterFrom + 7);
+/**
+ * Builds the response for a RELEASE, which frees the amount of an active hold on its account
+ * without moving any funds
+ * @param {object} parsed - Result of parseInstruction
+ * @param {object} hold - The active hold being released
+ * @param {Array<object>} accounts - Accounts from the store
+ * @param {object} options - See processInstruction
+ * @returns {object} - Instruction response
+ */
+function releaseHold(parsed, hold, accounts, options) {
+  const releasedAccounts = [];
+  const account = accounts.find((acc) => acc.id === hold.account);
+  if (account) {
+    const heldAfter = adjustHeld(account, hold, -1);
+    releasedAccounts.push({
+      id: account.id,
+      balance: account.balance,
+      balance_before: account.balance,
+      held: heldAfter,
+      available_before: availableBalance(account, account.balance),
+      available_after: availableBalance(account, account.balance, heldAfter),
+      currency: account.currency.toUpperCase(),
+    });
+  }
 
-      if (onIndex !== -1) {
-        debitAccount = extractBetween(
-          trimmedInstruction,
-          accountKeywordAfterFrom + 7,
-          onIndex
-        ).trim();
+  const response = {
+    type: parsed.type,
+    amount: hold.amount,
+    amount_minor: hold.amount_minor,
+    currency: hold.currency,
+    debit_account: hold.account,
+    credit_account: null,
+    execute_by: null,
+    reference: parsed.reference,
+    memo: parsed.memo,
+    status: 'successful',
+    status_reason: PaymentMessages.HOLD_RELEASED,
+    status_code: STATUS_CODES.AP00,
+    accounts: releasedAccounts,
+    legs: null,
+    fx: null,
+    recurrence: null,
+    hold: { hold_reference: hold.id, status: HOLD_STATUSES.RELEASED, expires_at: hold.expires_at },
+  };
+  if (options.collectViolations) response.violations = [];
 
-        // Extract date after ON
-        executeBy = extractBetween(trimmedInstruction, onIndex + 2, -1).trim();
-      } else {
-        debitAccount = extractBetween(trimmedInstruction, accountKeywordAfterFrom + 7, -1).trim();
-      }
-    }
+  return response;
+}
 
-    return {
-      type,
-      amount,
-      currency,
-      debitAccount,
-      creditAccount,
-      executeBy: executeBy || null,
-    };
-  } catch (error) {
-    appLogger.errorX(error, 'parse-instruction-parsing-error');
-    return null;
+/**
+ * Builds the response for a REVERSE, REFUND, HOLD, CAPTURE or RELEASE that can't be resolved
+ * against the transfer or hold it names; no business rule runs
+ * @param {object} parsed - Result of parseInstruction
+ * @param {{statusCode: string, statusReason: string}} rejection
+ * @param {object} options - See processInstruction
+ * @returns {object} - Instruction response
+ */
+function rejectLinkedInstruction(parsed, rejection, options) {
+  const response = {
+    type: parsed.type,
+    amount: null,
+    amount_minor: null,
+    currency: parsed.currency,
+    debit_account: parsed.debitAccount,
+    credit_account: parsed.creditAccount,
+    execute_by: null,
+    reference: parsed.reference,
+    memo: parsed.memo,
+    status: 'failed',
+    status_reason: rejection.statusReason,
+    status_code: rejection.statusCode,
+    accounts: [],
+  };
+  if (options.collectViolations) {
+    response.violations = [
+      {
+        status_code: rejection.statusCode,
+        status_reason: rejection.statusReason,
+        field: 'instruction',
+      },
+    ];
   }
+
+  return response;
 }
 
 /**
- * Main service function to parse payment instruction
+ * Applies a parsed instruction to the given accounts. The business rules from the rule
+ * pipeline run in order and stop at the first failure, unless options.collectViolations is set,
+ * in which case every rule that doesn't depend on a failed one still runs.
+ * @param {object} data - Validated service input with the accounts to use
+ * @param {object} parsed - Result of parseInstruction
+ * @param {Array<object>} rules - Business rules to check, from listRules
+ * @param {object} trace - Rule trace from createRuleTrace
+ * @param {object} [options] - See processInstruction
+ * @returns {Promise<object>} - Instruction response
  */
-async function parsePaymentInstruction(serviceData, options = {}) {
+async function evaluateInstruction(data, parsed, rules, trace, options = {}) {
   let response;
 
-  // Validate input data first
-  const data = validator.validate(serviceData, parsedSpec);
-
-  const { accounts, instruction } = data;
+  const { accounts, instruction, fx_rates: fxRates } = data;
 
   try {
-    // Parse the instruction
-    const parsed = parseInstruction(instruction);
-
-    // If parsing completely failed, return unparseable response
-    if (!parsed) {
-      appLogger.warn({ instruction }, 'instruction-unparseable');
+    // If parsing failed, return the syntax diagnostic
+    if (parsed.diagnostic) {
+      const { diagnostic } = parsed;
+      appLogger.warn({ instruction, diagnostic }, 'instruction-unparseable');
+      trace.fail('syntax', diagnostic.status_code);
 
+      const statusReason = describeDiagnostic(diagnostic);
       response = {
         type: null,
         amount: null,
+        amount_minor: null,
         currency: null,
         debit_account: null,
         credit_account: null,
         execute_by: null,
+        reference: null,
+        memo: null,
         status: 'failed',
-        status_reason: `${PaymentMessages.MALFORMED_INSTRUCTION}: unable to parse keywords`,
-        status_code: STATUS_CODES.SY03,
+        status_reason: statusReason,
+        status_code: diagnostic.status_code,
         accounts: [],
+        diagnostic: {
+          expected: diagnostic.expected,
+          found: diagnostic.found,
+          position: diagnostic.position,
+          suggestion: diagnostic.suggestion,
+        },
       };
+      if (options.collectViolations) {
+        response.violations = [
+          {
+            status_code: diagnostic.status_code,
+            status_reason: statusReason,
+            field: 'instruction',
+          },
+        ];
+      }
 
       return response;
     }
+    trace.pass('syntax');
+
+    // REVERSE and REFUND swap the accounts of the transfer they undo
+    let instructionParts = parsed;
+    let reversibleMinor = null;
+    if (parsed.originalReference) {
+      const reversal = resolveReversal(parsed, options.originalTransaction);
+      if (reversal.statusCode) {
+        trace.fail('original_transaction', reversal.statusCode);
+        return rejectLinkedInstruction(parsed, reversal, options);
+      }
 
-    const { type, amount, currency, debitAccount, creditAccount, executeBy } = parsed;
-
-    // Validate amount is a positive integer
-    if (!isPositiveInteger(amount)) {
-      const accountsWithOriginalBalances = accounts.map((acc) => ({
-        id: acc.id,
-        balance: acc.balance,
-        balance_before: acc.balance,
-        currency: acc.currency.toUpperCase(),
-      }));
-
-      response = {
-        type,
-        amount: amount ? parseInt(amount, 10) : null,
-        currency,
-        debit_account: debitAccount,
-        credit_account: creditAccount,
-        execute_by: executeBy,
-        status: 'failed',
-        status_reason: PaymentMessages.INVALID_AMOUNT,
-        status_code: STATUS_CODES.AM01,
-        accounts: accountsWithOriginalBalances,
-      };
-
-      return response;
-    }
-
-    const amountInt = parseInt(amount, 10);
-
-    // Validate account ID formats
-    if (!isValidAccountId(debitAccount)) {
-      const accountsWithOriginalBalances = accounts.map((acc) => ({
-        id: acc.id,
-        balance: acc.balance,
-        balance_before: acc.balance,
-        currency: acc.currency.toUpperCase(),
-      }));
-
-      response = {
-        type,
-        amount: amountInt,
-        currency,
-        debit_account: debitAccount,
-        credit_account: creditAccount,
-        execute_by: executeBy,
-        status: 'failed',
-        status_reason: `${PaymentMessages.INVALID_ACCOUNT_ID}: ${debitAccount}`,
-        status_code: STATUS_CODES.AC04,
-        accounts: accountsWithOriginalBalances,
-      };
-
-      return response;
-    }
-
-    if (!isValidAccountId(creditAccount)) {
-      const accountsWithOriginalBalances = accounts.map((acc) => ({
-        id: acc.id,
-        balance: acc.balance,
-        balance_before: acc.balance,
-        currency: acc.currency.toUpperCase(),
-      }));
-
-      response = {
-        type,
-        amount: amountInt,
-        currency,
-        debit_account: debitAccount,
-        credit_account: creditAccount,
-        execute_by: executeBy,
-        status: 'failed',
-        status_reason: `${PaymentMessages.INVALID_ACCOUNT_ID}: ${creditAccount}`,
-        status_code: STATUS_CODES.AC04,
-        accounts: accountsWithOriginalBalances,
-      };
-
-      return response;
-    }
-
-    // Validate date format if provided
-    if (executeBy && !isValidDate(executeBy)) {
-      const accountsWithOriginalBalances = accounts.map((acc) => ({
-        id: acc.id,
-        balance: acc.balance,
-        balance_before: acc.balance,
-        currency: acc.currency.toUpperCase(),
-      }));
-
-      response = {
-        type,
-        amount: amountInt,
-        currency,
-        debit_account: debitAccount,
-        credit_account: creditAccount,
-        execute_by: executeBy,
-        status: 'failed',
-        status_reason: PaymentMessages.INVALID_DATE_FORMAT,
-        status_code: STATUS_CODES.DT01,
-        accounts: accountsWithOriginalBalances,
-      };
-
-      return response;
-    }
-
-    // Validate currency is supported
-    if (!SUPPORTED_CURRENCIES.includes(currency)) {
-      const accountsWithOriginalBalances = accounts.map((acc) => ({
-        id: acc.id,
-        balance: acc.balance,
-        balance_before: acc.balance,
-        currency: acc.currency.toUpperCase(),
-      }));
-
-      response = {
-        type,
-        amount: amountInt,
-        currency,
-        debit_account: debitAccount,
-        credit_account: creditAccount,
-        execute_by: executeBy,
-        status: 'failed',
-        status_reason: `${PaymentMessages.UNSUPPORTED_CURRENCY}. Only NGN, USD, GBP, and GHS are supported`,
-        status_code: STATUS_CODES.CU02,
-        accounts: accountsWithOriginalBalances,
-      };
-
-      return response;
+      trace.pass('original_transaction');
+      instructionParts = { ...parsed, ...reversal };
+      reversibleMinor = reversal.reversibleMinor;
+    } else {
+      trace.notApplicable('original_transaction');
     }
 
-    // Check if debit and credit accounts are the same
-    if (debitAccount === creditAccount) {
-      const accountsWithOriginalBalances = accounts.map((acc) => ({
-        id: acc.id,
-        balance: acc.balance,
-        balance_before: acc.balance,
-        currency: acc.currency.toUpperCase(),
-      }));
-
-      response = {
-        type,
-        amount: amountInt,
-        currency,
-        debit_account: debitAccount,
-        credit_account: creditAccount,
-        execute_by: executeBy,
-        status: 'failed',
-        status_reason: PaymentMessages.SAME_ACCOUNT_ERROR,
-        status_code: STATUS_CODES.AC02,
-        accounts: accountsWithOriginalBalances,
-      };
+    // CAPTURE and RELEASE settle the hold they name
+    let hold = null;
+    if (HOLD_TYPES.includes(parsed.type)) {
+      const resolvedHold = resolveHold(parsed, options.hold);
+      if (resolvedHold.statusCode) {
+        trace.fail('hold', resolvedHold.statusCode);
+        return rejectLinkedInstruction(parsed, resolvedHold, options);
+      }
 
-      return response;
+      trace.pass('hold');
+      instructionParts = { ...parsed, ...resolvedHold };
+      hold = resolvedHold.hold || null;
+    } else {
+      trace.notApplicable('hold');
     }
 
-    // Find accounts in the accounts array
-    const debitAccountObj = accounts.find((acc) => acc.id === debitAccount);
-    const creditAccountObj = accounts.find((acc) => acc.id === creditAccount);
-
-    // Check if accounts exist
-    if (!debitAccountObj) {
-      const accountsWithOriginalBalances = accounts.map((acc) => ({
-        id: acc.id,
-        balance: acc.balance,
-        balance_before: acc.balance,
-        currency: acc.currency.toUpperCase(),
-      }));
-
-      response = {
-        type,
-        amount: amountInt,
-        currency,
-        debit_account: debitAccount,
-        credit_account: creditAccount,
-        execute_by: executeBy,
-        status: 'failed',
-        status_reason: `${PaymentMessages.ACCOUNT_NOT_FOUND}: ${debitAccount}`,
-        status_code: STATUS_CODES.AC03,
-        accounts: accountsWithOriginalBalances,
-      };
-
-      return response;
+    // Releasing a hold moves no money, so no business rule applies
+    if (parsed.type === 'RELEASE') {
+      rules.forEach((rule) => trace.notApplicable(rule.id));
+      return releaseHold(parsed, hold, accounts, options);
     }
 
-    if (!creditAccountObj) {
-      const accountsWithOriginalBalances = accounts.map((acc) => ({
-        id: acc.id,
-        balance: acc.balance,
-        balance_before: acc.balance,
-        currency: acc.currency.toUpperCase(),
-      }));
-
-      response = {
-        type,
-        amount: amountInt,
-        currency,
-        debit_account: debitAccount,
-        credit_account: creditAccount,
-        execute_by: executeBy,
-        status: 'failed',
-        status_reason: `${PaymentMessages.ACCOUNT_NOT_FOUND}: ${creditAccount}`,
-        status_code: STATUS_CODES.AC03,
-        accounts: accountsWithOriginalBalances,
-      };
-
-      return response;
-    }
+    const {
+      type,
+      amount,
+      currency,
+      debitAccount,
+      creditAccount,
+      creditSplit,
+      reference,
+      memo,
+      rate,
+      schedule,
+      originalReference = null,
+    } = instructionParts;
+
+    // A split credit pays several accounts; every rule checks all of its legs. A HOLD credits no one.
+    const splitLegs = creditSplit === null ? null : parseCreditSplit(creditSplit);
+    let creditAccountIds = creditAccount === null ? [] : [creditAccount];
+    if (splitLegs) creditAccountIds = splitLegs.map((leg) => leg.accountId);
+    const creditAccountObjs = creditAccountIds.map((id) => accounts.find((acc) => acc.id === id));
+
+    // Instruction context shared by the business rules. Values below the parsed instruction
+    // stay null until the rule that resolves them passes.
+    const ctx = {
+      type,
+      amount,
+      currency,
+      debitAccount,
+      creditAccount,
+      creditSplit,
+      reference,
+      memo,
+      rate,
+      schedule,
+      accounts,
+      fxRates,
+      options,
+      splitLegs,
+      creditAccountIds,
+      involvedAccountIds: [debitAccount, ...creditAccountIds],
+      fingerprint: fingerprintInstruction(parsed),
+      originalReference,
+      reversibleMinor,
+      hold,
+      debitAccountObj: accounts.find((acc) => acc.id === debitAccount),
+      creditAccountObjs,
+      creditCurrency: creditAccountObjs[0] ? creditAccountObjs[0].currency.toUpperCase() : null,
+      // Echo the schedule clause as written until it has been resolved to a timestamp
+      executeBy: options.scheduledExecuteBy || (schedule ? describeSchedule(schedule) : null),
+      isDue: true,
+      recurrence: null,
+      amountMajor: null,
+      decimalAmount: null,
+      minorUnits: null,
+      amountMinor: null,
+      validSplitLegs: null,
+      creditAmounts: null,
+      accountsResolved: false,
+      debitCurrencyMatches: null,
+      fxRate: null,
+    };
 
-    // Check currency match between accounts
-    if (debitAccountObj.currency.toUpperCase() !== creditAccountObj.currency.toUpperCase()) {
-      // Return accounts in original order from request
-      const transactionAccounts = [];
-      accounts.forEach((acc) => {
-        if (acc.id === debitAccount || acc.id === creditAccount) {
-          transactionAccounts.push({
-            id: acc.id,
-            balance: acc.balance,
-            balance_before: acc.balance,
-            currency: acc.currency.toUpperCase(),
-          });
-        }
-      });
+    const violations = runRules(rules, ctx, trace, options);
+    if (violations.length > 0) {
+      const primary = violations[0];
+      // Accounts that were found are returned on their own; otherwise the whole request set is.
+      // The account store is never returned whole, only the involved accounts it holds.
+      const returnAllAccounts = !options.accountsFromStore && !ctx.accountsResolved;
+      const failedAccounts = accounts
+        .filter((acc) => returnAllAccounts || ctx.involvedAccountIds.includes(acc.id))
+        .map((acc) => ({
+          id: acc.id,
+          balance: acc.balance,
+          balance_before: acc.balance,
+          held: acc.held || 0,
+          available_before: availableBalance(acc, acc.balance),
+          available_after: availableBalance(acc, acc.balance),
+          currency: acc.currency.toUpperCase(),
+        }));
 
       response = {
         type,
-        amount: amountInt,
+        amount: ctx.amountMajor,
+        amount_minor: ctx.amountMinor,
         currency,
         debit_account: debitAccount,
         credit_account: creditAccount,
-        execute_by: executeBy,
+        execute_by: ctx.executeBy,
+        reference,
+        memo,
         status: 'failed',
-        status_reason: PaymentMessages.CURRENCY_MISMATCH,
-        status_code: STATUS_CODES.CU01,
-        accounts: transactionAccounts,
+        status_reason: primary.status_reason,
+        status_code: primary.status_code,
+        accounts: failedAccounts,
       };
+      if (options.collectViolations) response.violations = violations;
 
       return response;
     }
 
-    // Check if instruction currency matches account currency
-    if (currency !== debitAccountObj.currency.toUpperCase()) {
-      // Return accounts in original order from request
-      const transactionAccounts = [];
-      accounts.forEach((acc) => {
-        if (acc.id === debitAccount || acc.id === creditAccount) {
-          transactionAccounts.push({
-            id: acc.id,
-            balance: acc.balance,
-            balance_before: acc.balance,
-            currency: acc.currency.toUpperCase(),
-          });
-        }
-      });
-
-      response = {
-        type,
-        amount: amountInt,
-        currency,
-        debit_account: debitAccount,
-        credit_account: creditAccount,
-        execute_by: executeBy,
-        status: 'failed',
-        status_reason: PaymentMessages.CURRENCY_MISMATCH,
-        status_code: STATUS_CODES.CU01,
-        accounts: transactionAccounts,
-      };
-
-      return response;
+    // A custom pipeline without the built-in rules can pass an instruction it never resolved
+    const creditCurrencyInfo = ctx.creditCurrency && getCurrency(ctx.creditCurrency);
+    const isResolved =
+      ctx.amountMinor !== null &&
+      ctx.debitAccountObj &&
+      creditAccountObjs.every(Boolean) &&
+      (creditAccountIds.length === 0 || creditCurrencyInfo) &&
+      (!splitLegs || ctx.creditAmounts);
+    if (!isResolved) {
+      throwAppError(RuleMessages.INCOMPLETE_RULE_PIPELINE, ERROR_CODE.APPERR);
     }
 
-    // Check sufficient funds
-    if (debitAccountObj.balance < amountInt) {
-      // Return accounts in original order from request
-      const transactionAccounts = [];
-      accounts.forEach((acc) => {
-        if (acc.id === debitAccount || acc.id === creditAccount) {
-          transactionAccounts.push({
-            id: acc.id,
-            balance: acc.balance,
-            balance_before: acc.balance,
-            currency: acc.currency.toUpperCase(),
-          });
-        }
-      });
-
-      response = {
-        type,
-        amount: amountInt,
-        currency,
-        debit_account: debitAccount,
-        credit_account: creditAccount,
-        execute_by: executeBy,
-        status: 'failed',
-        status_reason: `${PaymentMessages.INSUFFICIENT_FUNDS}: has ${debitAccountObj.balance} ${currency}, needs ${amountInt} ${currency}`,
-        status_code: STATUS_CODES.AC01,
-        accounts: transactionAccounts,
+    const { amountMajor, amountMinor, minorUnits, executeBy, isDue, recurrence, debitAccountObj } =
+      ctx;
+    const creditMinorUnits = creditCurrencyInfo ? creditCurrencyInfo.minor_units : minorUnits;
+    const debitBalanceMinor = balanceToMinorUnits(debitAccountObj.balance, minorUnits);
+    let creditAmounts = ctx.creditAmounts || [amountMinor];
+
+    let fx = null;
+    if (ctx.fxRate) {
+      const { fxRate } = ctx;
+      const conversion = convertMinorUnits(amountMinor, minorUnits, creditMinorUnits, fxRate.rate);
+      creditAmounts = [conversion.minor];
+      fx = {
+        from_currency: currency,
+        to_currency: ctx.creditCurrency,
+        rate: Number(fxRate.rateStr),
+        rate_source: fxRate.source,
+        credit_amount: fromMinorUnits(conversion.minor, creditMinorUnits),
+        credit_amount_minor: conversion.minor,
+        rounding: {
+          mode: 'half_up',
+          exact_amount: conversion.exact,
+          adjustment: conversion.adjustment,
+        },
       };
-
-      return response;
     }
 
     // Determine if transaction should be executed immediately or pending
     let shouldExecute = true;
     let status = 'successful';
     let statusCode = STATUS_CODES.AP00;
-    let statusReason = PaymentMessages.TRANSACTION_SUCCESSFUL;
-
-    if (executeBy) {
-      const dateComparison = compareDateWithToday(executeBy);
-      if (dateComparison === 'future') {
-        shouldExecute = false;
-        status = 'pending';
-        statusCode = STATUS_CODES.AP02;
-        statusReason = PaymentMessages.TRANSACTION_PENDING;
-      }
+    let statusReason = SUCCESS_MESSAGES[type] || PaymentMessages.TRANSACTION_SUCCESSFUL;
+
+    if (!isDue) {
+      shouldExecute = false;
+      status = 'pending';
+      statusCode = STATUS_CODES.AP02;
+      statusReason = PaymentMessages.TRANSACTION_PENDING;
     }
 
     // Execute transaction or mark as pending
     let newDebitBalance = debitAccountObj.balance;
-    let newCreditBalance = creditAccountObj.balance;
-
-    if (shouldExecute) {
-      newDebitBalance = debitAccountObj.balance - amountInt;
-      newCreditBalance = creditAccountObj.balance + amountInt;
+    let newDebitHeld = debitAccountObj.held || 0;
+    const newCreditBalances = creditAccountObjs.map((acc) => acc.balance);
+
+    if (shouldExecute && type === 'HOLD') {
+      // A HOLD reserves the amount without moving it
+      newDebitHeld = adjustHeld(
+        debitAccountObj,
+        { amount: amountMajor, amount_minor: amountMinor },
+        1
+      );
+    } else if (shouldExecute) {
+      newDebitBalance = fromMinorUnits(debitBalanceMinor - amountMinor, minorUnits);
+      // A CAPTURE spends the funds its hold reserved
+      if (hold) newDebitHeld = adjustHeld(debitAccountObj, hold, -1);
+      creditAccountObjs.forEach((acc, index) => {
+        const creditBalanceMinor = balanceToMinorUnits(acc.balance, creditMinorUnits);
+        newCreditBalances[index] = fromMinorUnits(
+          creditBalanceMinor + creditAmounts[index],
+          creditMinorUnits
+        );
+      });
     }
 
     // Build response with accounts in original order
@@ -676,37 +825,81 @@ async function parsePaymentInstruction(serviceData, options = {}) {
           id: acc.id,
           balance: newDebitBalance,
           balance_before: debitAccountObj.balance,
+          held: newDebitHeld,
+          available_before: availableBalance(acc, debitAccountObj.balance),
+          available_after: availableBalance(acc, newDebitBalance, newDebitHeld),
           currency: acc.currency.toUpperCase(),
         });
-      } else if (acc.id === creditAccount) {
+      } else if (creditAccountIds.includes(acc.id)) {
+        const newCreditBalance = newCreditBalances[creditAccountIds.indexOf(acc.id)];
         transactionAccounts.push({
           id: acc.id,
           balance: newCreditBalance,
-          balance_before: creditAccountObj.balance,
+          balance_before: acc.balance,
+          held: acc.held || 0,
+          available_before: availableBalance(acc, acc.balance),
+          available_after: availableBalance(acc, newCreditBalance),
           currency: acc.currency.toUpperCase(),
         });
       }
     });
 
+    const legs = splitLegs
+      ? splitLegs.map((leg, index) => ({
+          credit_account: leg.accountId,
+          amount: fromMinorUnits(creditAmounts[index], minorUnits),
+          amount_minor: creditAmounts[index],
+          percentage: leg.isPercentage ? Number(leg.value) : null,
+        }))
+      : null;
+
     response = {
       type,
-      amount: amountInt,
+      amount: amountMajor,
+      amount_minor: amountMinor,
       currency,
       debit_account: debitAccount,
       credit_account: creditAccount,
       execute_by: executeBy,
+      reference,
+      memo,
       status,
       status_reason: statusReason,
       status_code: statusCode,
       accounts: transactionAccounts,
+      legs,
+      fx,
+      recurrence,
     };
+    if (originalReference) {
+      response.reversal = {
+        original_transaction_reference: originalReference,
+        remaining_amount: fromMinorUnits(reversibleMinor - amountMinor, minorUnits),
+        remaining_amount_minor: reversibleMinor - amountMinor,
+      };
+    }
+    if (type === 'HOLD') {
+      // The hold is referred to by this instruction's transaction reference
+      response.hold = {
+        hold_reference: null,
+        status: HOLD_STATUSES.ACTIVE,
+        expires_at: new Date(Date.now() + HOLD_EXPIRY_MS).toISOString(),
+      };
+    } else if (hold) {
+      response.hold = {
+        hold_reference: hold.id,
+        status: HOLD_STATUSES.CAPTURED,
+        expires_at: hold.expires_at,
+      };
+    }
+    if (options.collectViolations) response.violations = [];
 
     appLogger.info(
       {
         type,
         debitAccount,
-        creditAccount,
-        amount: amountInt,
+        creditAccounts: creditAccountIds,
+        amount: amountMinor,
         currency,
         status,
       },
@@ -720,4 +913,157 @@ async function parsePaymentInstruction(serviceData, options = {}) {
   return response;
 }
 
-module.exports = parsePaymentInstruction;
\ No newline at end of file
+/**
+ * Parses and applies an instruction to the given accounts
+ * @param {object} data - Validated service input with the accounts to use
+ * @param {object} [options]
+ * @param {string} [options.scheduledExecuteBy] - Resolved execute_by of a scheduled instruction that
+ * is now due; the instruction's own schedule clause is not resolved again
+ * @param {boolean} [options.collectViolations] - Runs every independent check and reports all
+ * failures as `violations`, instead of stopping at the first
+ * @param {boolean} [options.explain] - Adds an explanation of the tokens, clauses and rules
+ * evaluated to the response
+ * @param {Array<object>} [options.recentInstructions] - Instructions executed within the duplicate
+ * window, from listRecentInstructions; a repeat of one of them is rejected as a possible duplicate
+ * @param {boolean} [options.allowDuplicate] - Executes an instruction against the account store
+ * even if it repeats a recent one
+ * @param {object|null} [options.originalTransaction] - Stored transaction a REVERSE or REFUND names,
+ * or null if there is none; without it, reversals are rejected
+ * @param {object|null} [options.hold] - Stored hold a CAPTURE or RELEASE names, or null if there is
+ * none (or the instruction is a HOLD); without it, hold instructions are rejected
+ * @param {boolean} [options.accountsFromStore] - The accounts are the whole account store, so a
+ * failed instruction returns only the involved accounts instead of every account
+ * @returns {Promise<object>} - Instruction response
+ */
+async function processInstruction(data, options = {}) {
+  const parsed = parseInstruction(data.instruction);
+  const rules = listRules();
+  const trace = createRuleTrace(rules);
+  const response = {
+    transaction_reference: createTransactionReference(),
+    // Which grammar the instruction was written in; null when it didn't parse
+    dialect: parsed.diagnostic ? null : parsed.dialect,
+    ...(await evaluateInstruction(data, parsed, rules, trace, options)),
+  };
+  if (response.hold && response.hold.hold_reference === null) {
+    response.hold.hold_reference = response.transaction_reference;
+  }
+
+  if (options.explain) {
+    response.explanation = {
+      tokens: parsed.tokens,
+      clauses: parsed.clauses,
+      rules: trace.list(),
+    };
+  }
+
+  return response;
+}
+
+/**
+ * Runs an instruction against the request's accounts when supplied; otherwise resolves
+ * accounts from the account store, commits the new balances of a successful transfer in a
+ * single write and schedules pending instructions for execution on their execute_by date.
+ * @param {object} data - Validated service input
+ * @param {object} [options] - See processInstruction
+ * @returns {Promise<object>} - Instruction response
+ */
+async function executeInstruction(data, options) {
+  if (data.accounts) {
+    validateAccountSet(data.accounts);
+    return processInstruction(data, options);
+  }
+
+  // Instructions submitted by callers are checked for duplicates; the scheduler's executions
+  // are repeats of an instruction that was already checked
+  const detectDuplicates = DUPLICATE_WINDOW_MS > 0 && !options.scheduledExecuteBy;
+
+  // Free the funds of lapsed holds before they are counted against this instruction
+  await expireHolds();
+
+  const response = await accountRepository.runExclusive(async () => {
+    const parsed = parseInstruction(data.instruction);
+    const storedAccounts = await accountRepository.list();
+    const recentInstructions =
+      detectDuplicates && !options.allowDuplicate ? await listRecentInstructions() : null;
+    const originalTransaction = parsed.originalReference
+      ? await transactionRepository.get(parsed.originalReference)
+      : undefined;
+    const hold = parsed.holdReference ? await holdRepository.get(parsed.holdReference) : null;
+    const result = await processInstruction(
+      { ...data, accounts: storedAccounts },
+      { ...options, accountsFromStore: true, recentInstructions, originalTransaction, hold }
+    );
+
+    if (result.status === 'successful') {
+      await accountRepository.updateMany(
+        result.accounts.map((acc) => ({ id: acc.id, balance: acc.balance, held: acc.held }))
+      );
+      await recordTransaction(result);
+      if (result.type === 'HOLD') await createHold(result);
+      else if (result.hold) await settleHold(result);
+      appLogger.info(
+        { accounts: result.accounts.map((acc) => acc.id) },
+        'payment-instruction-committed'
+      );
+    }
+
+    if (detectDuplicates && result.status !== 'failed') {
+      await recordInstruction({
+        transaction_reference: result.transaction_reference,
+        fingerprint: fingerprintInstruction(parsed),
+      });
+    }
+
+    return result;
+  });
+
+  // Standing orders schedule every execution date that hasn't just been executed
+  if (response.recurrence) {
+    const pendingDates = response.recurrence.execution_dates.filter(
+      (date) => response.status === 'pending' || date !== response.execute_by
+    );
+
+    response.scheduled_instruction_ids = [];
+    for (let i = 0; i < pendingDates.length; i += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      const scheduled = await scheduleInstruction({
+        instruction: data.instruction,
+        fx_rates: data.fx_rates,
+        execute_by: pendingDates[i],
+      });
+      response.scheduled_instruction_ids.push(scheduled.id);
+    }
+
+    return response;
+  }
+
+  // Future-dated instructions are handed to the scheduler, which runs them against the store
+  if (response.status === 'pending') {
+    const scheduled = await scheduleInstruction({
+      instruction: data.instruction,
+      fx_rates: data.fx_rates,
+      execute_by: response.execute_by,
+    });
+    response.scheduled_instruction_id = scheduled.id;
+  }
+
+  return response;
+}
+
+/**
+ * Main service function to parse payment instruction.
+ * Every response is signed last, so the receipt also covers scheduled instruction IDs.
+ * @param {object} serviceData - { accounts?, instruction, fx_rates? }
+ * @param {object} [options] - See processInstruction
+ */
+async function parsePaymentInstruction(serviceData, options = {}) {
+  // Validate input data first
+  const data = validator.validate(serviceData, parsedSpec);
+
+  const response = await executeInstruction(data, options);
+  response.receipt = signReceipt(response);
+  return response;
+}
+
+module.exports = parsePaymentInstruction;
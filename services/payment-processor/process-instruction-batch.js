@@ -0,0 +1,90 @@
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const parsePaymentInstruction = require('./parse-instruction');
+const { availableBalance } = require('./helpers');
+const validateAccountSet = require('./validate-account-set');
+
+// Define validation spec for the service input
+const spec = `root {
+  accounts[] {
+    id string
+    balance number
+    currency string
+    max_debit? number
+    overdraft_limit? number
+    held? number
+    status? string(active|frozen|closed|debit_blocked)
+  }
+  instructions[] string
+  fx_rates[]? {
+    from string
+    to string
+    rate number
+  }
+  on_failure? string(continue|stop)
+}`;
+
+// Parse the spec once (outside the function)
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Processes an ordered list of instructions against a shared account set.
+ * Each instruction sees the balances left by the previous one; failed and pending
+ * instructions leave balances untouched.
+ */
+async function processInstructionBatch(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+  validateAccountSet(data.accounts);
+
+  const { instructions, fx_rates: fxRates, on_failure: onFailure = 'continue' } = data;
+
+  // Running account state, kept in the original request order
+  const accounts = data.accounts.map((acc) => ({ ...acc }));
+  const openingBalances = accounts.map((acc) => acc.balance);
+
+  const results = [];
+  const summary = { total: instructions.length, successful: 0, pending: 0, failed: 0, skipped: 0 };
+
+  for (let i = 0; i < instructions.length; i += 1) {
+    // eslint-disable-next-line no-await-in-loop
+    const result = await parsePaymentInstruction(
+      { accounts, instruction: instructions[i], fx_rates: fxRates },
+      options
+    );
+    results.push(result);
+
+    if (result.status === 'successful') {
+      summary.successful += 1;
+      result.accounts.forEach((resultAccount) => {
+        const account = accounts.find((acc) => acc.id === resultAccount.id);
+        account.balance = resultAccount.balance;
+      });
+    } else if (result.status === 'pending') {
+      summary.pending += 1;
+    } else {
+      summary.failed += 1;
+      if (onFailure === 'stop') {
+        summary.skipped = instructions.length - i - 1;
+        break;
+      }
+    }
+  }
+
+  appLogger.info(summary, 'payment-instruction-batch-processed');
+
+  return {
+    results,
+    accounts: accounts.map((acc, index) => ({
+      id: acc.id,
+      balance: acc.balance,
+      balance_before: openingBalances[index],
+      held: acc.held || 0,
+      available_before: availableBalance(acc, openingBalances[index]),
+      available_after: availableBalance(acc, acc.balance),
+      currency: acc.currency.toUpperCase(),
+    })),
+    summary,
+  };
+}
+
+module.exports = processInstructionBatch;
@@ -0,0 +1,197 @@
+const { STATUS_CODES } = require('./constants');
+const { MS_PER_DAY, parseDigits, parseCalendarDate, startOfUtcDay } = require('./execution-date');
+
+// Most execution dates a single standing order may produce
+const MAX_RECURRENCE_OCCURRENCES = 366;
+
+// Frequency units accepted after EVERY
+const FREQUENCIES = {
+  DAY: 'daily',
+  DAYS: 'daily',
+  WEEK: 'weekly',
+  WEEKS: 'weekly',
+  MONTH: 'monthly',
+  MONTHS: 'monthly',
+};
+
+// Indexed like Date.prototype.getUTCDay
+const WEEKDAYS = ['SUNDAY', 'MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY'];
+
+function invalidRecurrence(detail) {
+  return { statusCode: STATUS_CODES.DT04, detail };
+}
+
+/**
+ * Splits a clause value into its non-empty words
+ * @param {string} value
+ * @returns {string[]}
+ */
+function splitWords(value) {
+  return value
+    .toUpperCase()
+    .split(' ')
+    .filter((word) => word.length > 0);
+}
+
+/**
+ * Parses the frequency after EVERY: MONTH, 2 WEEKS, ...
+ * @param {string} value - Clause value
+ * @returns {{frequency: string, interval: number}|null}
+ */
+function parseFrequency(value) {
+  const words = splitWords(value);
+  const unit = words[words.length - 1];
+  if (words.length > 2 || !FREQUENCIES[unit]) return null;
+
+  const interval = words.length === 2 ? parseDigits(words[0]) : 1;
+  if (interval === null || interval === 0) return null;
+
+  return { frequency: FREQUENCIES[unit], interval };
+}
+
+/**
+ * Parses the ON anchor of a standing order: DAY [n] for monthly orders, a weekday for weekly ones
+ * @param {string} value - Clause value
+ * @param {string} frequency - Parsed frequency
+ * @returns {{dayOfMonth: number|null, weekday: number|null}|null}
+ */
+function parseAnchor(value, frequency) {
+  const words = splitWords(value);
+
+  if (frequency === 'monthly' && words.length === 2 && words[0] === 'DAY') {
+    const dayOfMonth = parseDigits(words[1]);
+    if (dayOfMonth === null || dayOfMonth < 1 || dayOfMonth > 31) return null;
+    return { dayOfMonth, weekday: null };
+  }
+
+  if (frequency === 'weekly' && words.length === 1 && WEEKDAYS.includes(words[0])) {
+    return { dayOfMonth: null, weekday: WEEKDAYS.indexOf(words[0]) };
+  }
+
+  return null;
+}
+
+/**
+ * Parses the occurrence count of FOR [n] TIMES
+ * @param {string} value - Clause value, e.g. '12 TIMES'
+ * @returns {number|null}
+ */
+function parseCount(value) {
+  const words = splitWords(value);
+  if (words.length !== 2 || (words[1] !== 'TIMES' && words[1] !== 'TIME')) return null;
+
+  const count = parseDigits(words[0]);
+  return count === null || count === 0 ? null : count;
+}
+
+/**
+ * Midnight UTC of the given day of a month, clamped to the month's last day
+ * @param {number} year
+ * @param {number} monthIndex - Zero-based month, may overflow into later years
+ * @param {number} dayOfMonth
+ * @returns {number}
+ */
+function monthlyOccurrence(year, monthIndex, dayOfMonth) {
+  const lastDay = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+  return Date.UTC(year, monthIndex, Math.min(dayOfMonth, lastDay));
+}
+
+/**
+ * Lists the execution dates (midnight UTC) of a standing order, starting today
+ * @param {object} rule - Parsed recurrence rule
+ * @param {number} today - Midnight UTC of the current day
+ * @returns {number[]} - Up to MAX_RECURRENCE_OCCURRENCES + 1 dates, so callers can detect overflow
+ */
+function listOccurrences(rule, today) {
+  const { frequency, interval, dayOfMonth, weekday, until, count } = rule;
+  const limit = Math.min(count || Infinity, MAX_RECURRENCE_OCCURRENCES + 1);
+  const occurrences = [];
+
+  const todayDate = new Date(today);
+  let step = 0;
+  while (occurrences.length < limit) {
+    let occurrence;
+    if (frequency === 'monthly') {
+      const year = todayDate.getUTCFullYear();
+      occurrence = monthlyOccurrence(year, todayDate.getUTCMonth() + step * interval, dayOfMonth);
+    } else {
+      const daysToFirst = frequency === 'weekly' ? (weekday - todayDate.getUTCDay() + 7) % 7 : 0;
+      const daysPerStep = frequency === 'weekly' ? 7 * interval : interval;
+      occurrence = today + (daysToFirst + step * daysPerStep) * MS_PER_DAY;
+    }
+    step += 1;
+
+    if (until !== null && occurrence > until) break;
+    // This month's anchor day may already have passed
+    if (occurrence >= today) occurrences.push(occurrence);
+  }
+
+  return occurrences;
+}
+
+/**
+ * Resolves an EVERY clause to a recurrence rule and its execution dates.
+ * Occurrences fall on midnight UTC; the first is the earliest matching day from today on.
+ * Without an ON anchor, weekly orders repeat on today's weekday and monthly ones on today's date.
+ * @param {{value: string, anchor: string|null, until: string|null, count: string|null}} schedule
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {{executeBy: string, isDue: boolean, recurrence: object}|{statusCode: string, detail?: string}}
+ */
+function resolveRecurrence(schedule, now = Date.now()) {
+  const today = startOfUtcDay(now);
+  const todayDate = new Date(today);
+
+  const parsedFrequency = parseFrequency(schedule.value);
+  if (!parsedFrequency) return invalidRecurrence(`unknown frequency ${schedule.value}`);
+  const { frequency, interval } = parsedFrequency;
+
+  let anchor = {
+    dayOfMonth: frequency === 'monthly' ? todayDate.getUTCDate() : null,
+    weekday: frequency === 'weekly' ? todayDate.getUTCDay() : null,
+  };
+  if (schedule.anchor !== null) {
+    anchor = parseAnchor(schedule.anchor, frequency);
+    if (!anchor)
+      return invalidRecurrence(`ON ${schedule.anchor} does not fit a ${frequency} order`);
+  }
+
+  let until = null;
+  if (schedule.until !== null) {
+    const untilDate = parseCalendarDate(schedule.until);
+    if (!untilDate) return { statusCode: STATUS_CODES.DT01 };
+    until = Date.UTC(untilDate.year, untilDate.month - 1, untilDate.day);
+    if (until < today) return { statusCode: STATUS_CODES.DT02 };
+  }
+
+  const count = schedule.count === null ? null : parseCount(schedule.count);
+  if (schedule.count !== null && count === null) {
+    return invalidRecurrence(`FOR ${schedule.count} is not a positive number of times`);
+  }
+
+  const rule = { frequency, interval, ...anchor, until, count };
+  const occurrences = listOccurrences(rule, today);
+  if (occurrences.length === 0) {
+    return invalidRecurrence('no execution dates before the end date');
+  }
+  if (occurrences.length > MAX_RECURRENCE_OCCURRENCES) {
+    return invalidRecurrence(`more than ${MAX_RECURRENCE_OCCURRENCES} execution dates`);
+  }
+
+  const executionDates = occurrences.map((occurrence) => new Date(occurrence).toISOString());
+
+  return {
+    executeBy: executionDates[0],
+    isDue: occurrences[0] <= now,
+    recurrence: {
+      frequency,
+      interval,
+      day_of_month: anchor.dayOfMonth,
+      weekday: anchor.weekday === null ? null : WEEKDAYS[anchor.weekday],
+      until: schedule.until,
+      count,
+      execution_dates: executionDates,
+    },
+  };
+}
+
+module.exports = { MAX_RECURRENCE_OCCURRENCES, resolveRecurrence };
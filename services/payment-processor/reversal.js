@@ -0,0 +1,70 @@
+const { PaymentMessages } = require('@app/messages');
+const { STATUS_CODES } = require('./constants');
+const { fromMinorUnits } = require('./money');
+const { getCurrency } = require('../currencies/currency-registry');
+
+/**
+ * Resolves a REVERSE or REFUND instruction against the transfer it undoes. The original
+ * credit account is debited and the original debit account is credited; REVERSE returns
+ * whatever has not been refunded yet.
+ * @param {object} parsed - Parsed REVERSE or REFUND instruction
+ * @param {object|null} [original] - Stored transaction named by the instruction, null if there
+ * is none, or undefined when the instruction isn't run against the account store
+ * @returns {{debitAccount: string, creditAccount: string, amount: string, currency: string,
+ * reversibleMinor: number}|{statusCode: string, statusReason: string}} - The transfer to make and
+ * how much of the original is left to reverse, or why the instruction is rejected
+ */
+function resolveReversal(parsed, original) {
+  const { originalReference } = parsed;
+
+  if (original === undefined) {
+    return {
+      statusCode: STATUS_CODES.RV01,
+      statusReason: PaymentMessages.REVERSAL_REQUIRES_ACCOUNT_STORE,
+    };
+  }
+  if (original === null) {
+    return {
+      statusCode: STATUS_CODES.RV01,
+      statusReason: `${PaymentMessages.ORIGINAL_TRANSACTION_NOT_FOUND}: ${originalReference}`,
+    };
+  }
+  // Only a transfer to a single account, in one currency, has a plain mirror image
+  if (original.legs || original.fx || original.credit_account === null) {
+    return {
+      statusCode: STATUS_CODES.RV04,
+      statusReason: `${PaymentMessages.TRANSACTION_NOT_REVERSIBLE}: ${originalReference}`,
+    };
+  }
+
+  const reversibleMinor = original.amount_minor - original.reversed_amount_minor;
+  if (reversibleMinor <= 0) {
+    return {
+      statusCode: STATUS_CODES.RV02,
+      statusReason: `${PaymentMessages.TRANSACTION_FULLY_REVERSED}: ${originalReference}`,
+    };
+  }
+
+  if (parsed.type === 'REFUND' && parsed.currency !== original.currency) {
+    return {
+      statusCode: STATUS_CODES.RV03,
+      statusReason: `${PaymentMessages.REFUND_CURRENCY_MISMATCH}: ${originalReference} was in ${original.currency}`,
+    };
+  }
+
+  // A currency disabled since the original transfer is rejected by the currency rules
+  const currency = getCurrency(original.currency);
+  const reversibleAmount = currency
+    ? String(fromMinorUnits(reversibleMinor, currency.minor_units))
+    : String(original.amount);
+
+  return {
+    debitAccount: original.credit_account,
+    creditAccount: original.debit_account,
+    amount: parsed.type === 'REFUND' ? parsed.amount : reversibleAmount,
+    currency: original.currency,
+    reversibleMinor,
+  };
+}
+
+module.exports = { resolveReversal };
@@ -0,0 +1,175 @@
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { RuleMessages } = require('@app/messages');
+const { SYNTAX_RULE, ORIGINAL_TRANSACTION_RULE, HOLD_RULE } = require('./rule-trace');
+const DEFAULT_RULES = require('./rules');
+
+/**
+ * @typedef {Object} BusinessRule
+ * @property {string} id - Unique rule ID, reported by explain mode
+ * @property {string} description - What the rule checks
+ * @property {string} statusCode - Status code of a violation
+ * @property {string} message - Status reason of a violation
+ * @property {string} [field] - Response field a violation is about
+ * @property {string[]} [requires] - Context values the rule needs; it is skipped until earlier
+ * rules have set them
+ * @property {function(Object): boolean} [appliesTo] - Returns false when the rule doesn't apply
+ * to the instruction, e.g. split checks on a single credit
+ * @property {function(Object): (boolean|Object[])} evaluate - Returns true to pass, false to fail
+ * with the rule's status code and message, or a list of `{statusCode?, statusReason?, field?}`
+ * violations (an empty list passes). May set values on the context for later rules.
+ */
+
+let rules = [...DEFAULT_RULES];
+
+/**
+ * @param {BusinessRule[]} list
+ * @param {string} ruleId
+ * @returns {number} - Index of the rule in the list
+ */
+function findRuleIndex(list, ruleId) {
+  const index = list.findIndex((rule) => rule.id === ruleId);
+  if (index === -1) {
+    throwAppError(`${RuleMessages.RULE_NOT_FOUND}: ${ruleId}`, ERROR_CODE.NOTFOUND);
+  }
+  return index;
+}
+
+/**
+ * @param {BusinessRule[]} list
+ * @param {BusinessRule} rule
+ * @param {{before?: string, after?: string}} position - Defaults to the end of the list
+ * @returns {BusinessRule[]} - New list with the rule inserted
+ */
+function insertRule(list, rule, position) {
+  let index = list.length;
+  if (position.before) index = findRuleIndex(list, position.before);
+  else if (position.after) index = findRuleIndex(list, position.after) + 1;
+
+  return [...list.slice(0, index), rule, ...list.slice(index)];
+}
+
+function checkRule(rule) {
+  const isString = (value) => typeof value === 'string' && value.length > 0;
+  const isOptional = (value, check) => value === undefined || check(value);
+
+  const isValid =
+    Boolean(rule) &&
+    isString(rule.id) &&
+    isString(rule.description) &&
+    isString(rule.statusCode) &&
+    isString(rule.message) &&
+    typeof rule.evaluate === 'function' &&
+    isOptional(rule.field, isString) &&
+    isOptional(rule.appliesTo, (value) => typeof value === 'function') &&
+    isOptional(rule.requires, (value) => Array.isArray(value) && value.every(isString));
+
+  if (!isValid) {
+    throwAppError(
+      `${RuleMessages.INVALID_RULE}: ${rule && rule.id ? rule.id : 'missing id'}`,
+      ERROR_CODE.VALIDATIONERR
+    );
+  }
+
+  const reservedIds = [SYNTAX_RULE.id, ORIGINAL_TRANSACTION_RULE.id, HOLD_RULE.id];
+  if (reservedIds.includes(rule.id) || rules.some((existing) => existing.id === rule.id)) {
+    throwAppError(`${RuleMessages.DUPLICATE_RULE}: ${rule.id}`, ERROR_CODE.DUPLRCRD);
+  }
+}
+
+/**
+ * Adds a business rule to the pipeline. Meant to be called at startup; instructions processed
+ * afterwards are checked against it.
+ * @param {BusinessRule} rule
+ * @param {{before?: string, after?: string}} [position] - Rule ID to insert before or after;
+ * defaults to after every other rule
+ */
+function registerRule(rule, position = {}) {
+  checkRule(rule);
+  rules = insertRule(rules, rule, position);
+}
+
+/**
+ * @param {string} ruleId
+ */
+function removeRule(ruleId) {
+  const index = findRuleIndex(rules, ruleId);
+  rules = rules.filter((rule, ruleIndex) => ruleIndex !== index);
+}
+
+/**
+ * Moves a business rule to a new position in the pipeline
+ * @param {string} ruleId
+ * @param {{before?: string, after?: string}} position - Rule ID to move before or after
+ */
+function moveRule(ruleId, position) {
+  const rule = rules[findRuleIndex(rules, ruleId)];
+  rules = insertRule(
+    rules.filter((existing) => existing !== rule),
+    rule,
+    position
+  );
+}
+
+/**
+ * @returns {BusinessRule[]} - Rules in evaluation order
+ */
+function listRules() {
+  return rules.slice();
+}
+
+/**
+ * Restores the built-in rules in their default order
+ */
+function resetRules() {
+  rules = [...DEFAULT_RULES];
+}
+
+/**
+ * Evaluates rules against an instruction context in order
+ * @param {BusinessRule[]} ruleList - Rules to evaluate, from listRules
+ * @param {Object} ctx - Instruction context; rules read it and add the values they resolve
+ * @param {Object} trace - Rule trace from createRuleTrace
+ * @param {{collectViolations?: boolean}} [options] - Keep going after the first failing rule
+ * @returns {Array<{status_code: string, status_reason: string, field: string}>} - Violations in
+ * the order found
+ */
+function runRules(ruleList, ctx, trace, options = {}) {
+  const violations = [];
+
+  for (let i = 0; i < ruleList.length; i += 1) {
+    if (violations.length > 0 && !options.collectViolations) break;
+
+    const rule = ruleList[i];
+    if (rule.appliesTo && !rule.appliesTo(ctx)) {
+      trace.notApplicable(rule.id);
+    } else if ((rule.requires || []).every((key) => ctx[key] !== undefined && ctx[key] !== null)) {
+      const result = rule.evaluate(ctx);
+      let ruleViolations = result === false ? [{}] : [];
+      if (Array.isArray(result)) ruleViolations = result;
+
+      if (ruleViolations.length === 0) {
+        trace.pass(rule.id);
+      } else {
+        ruleViolations.forEach((violation) => {
+          violations.push({
+            status_code: violation.statusCode || rule.statusCode,
+            status_reason: violation.statusReason || rule.message,
+            field: violation.field || rule.field || null,
+          });
+        });
+        trace.fail(rule.id, violations[violations.length - ruleViolations.length].status_code);
+      }
+    }
+  }
+
+  return violations;
+}
+
+module.exports = {
+  registerRule,
+  removeRule,
+  moveRule,
+  listRules,
+  resetRules,
+  runRules,
+};
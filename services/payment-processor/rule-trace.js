@@ -0,0 +1,66 @@
+// Checked by the parser before any business rule, so it always comes first in a trace
+const SYNTAX_RULE = {
+  id: 'syntax',
+  description: 'Instruction matches one of the instruction grammars',
+};
+
+// Checked after parsing: REVERSE and REFUND take their accounts from the transfer they undo
+const ORIGINAL_TRANSACTION_RULE = {
+  id: 'original_transaction',
+  description: 'REVERSE and REFUND name an executed transfer that can still be reversed',
+};
+
+// Checked after parsing: holds live in the account store, and CAPTURE and RELEASE settle one
+const HOLD_RULE = {
+  id: 'hold',
+  description: 'HOLD runs against the account store; CAPTURE and RELEASE name an active hold',
+};
+
+/**
+ * Creates a record of which business rules an instruction passed, failed or skipped,
+ * reported by explain mode
+ * @param {Array<{id: string, description: string}>} rules - Business rules in evaluation order
+ * @returns {Object} - Rule trace
+ */
+function createRuleTrace(rules) {
+  const outcomes = {};
+
+  return {
+    /**
+     * @param {string} ruleId
+     */
+    pass(ruleId) {
+      outcomes[ruleId] = { outcome: 'pass' };
+    },
+
+    /**
+     * @param {string} ruleId
+     * @param {string} statusCode - Status code the instruction failed with
+     */
+    fail(ruleId, statusCode) {
+      outcomes[ruleId] = { outcome: 'fail', status_code: statusCode };
+    },
+
+    /**
+     * Records a rule that doesn't apply to the instruction, e.g. split checks on a single credit
+     * @param {string} ruleId
+     */
+    notApplicable(ruleId) {
+      outcomes[ruleId] = { outcome: 'skipped', reason: 'not applicable' };
+    },
+
+    /**
+     * Lists every rule in evaluation order; rules never reached are skipped
+     * @returns {Array<{rule: string, description: string, outcome: string}>}
+     */
+    list() {
+      return [SYNTAX_RULE, ORIGINAL_TRANSACTION_RULE, HOLD_RULE, ...rules].map((rule) => ({
+        rule: rule.id,
+        description: rule.description,
+        ...(outcomes[rule.id] || { outcome: 'skipped', reason: 'an earlier rule failed' }),
+      }));
+    },
+  };
+}
+
+module.exports = { SYNTAX_RULE, ORIGINAL_TRANSACTION_RULE, HOLD_RULE, createRuleTrace };
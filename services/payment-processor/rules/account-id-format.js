@@ -0,0 +1,18 @@
+const { PaymentMessages } = require('@app/messages');
+const { STATUS_CODES } = require('../constants');
+const { isValidAccountId } = require('../helpers');
+
+module.exports = {
+  id: 'account_id_format',
+  description: 'Account IDs only contain letters, numbers, hyphens, periods and @',
+  statusCode: STATUS_CODES.AC04,
+  message: PaymentMessages.INVALID_ACCOUNT_ID,
+  evaluate(ctx) {
+    return ctx.involvedAccountIds
+      .filter((id, index) => !isValidAccountId(id) && ctx.involvedAccountIds.indexOf(id) === index)
+      .map((id) => ({
+        statusReason: `${PaymentMessages.INVALID_ACCOUNT_ID}: ${id}`,
+        field: id === ctx.debitAccount ? 'debit_account' : 'credit_account',
+      }));
+  },
+};
@@ -0,0 +1,38 @@
+const { PaymentMessages } = require('@app/messages');
+const { STATUS_CODES } = require('../constants');
+const { ACCOUNT_STATUSES } = require('../../accounts/constants');
+
+module.exports = {
+  id: 'account_status',
+  description: 'Accounts are open and not frozen, and the debit account is not debit-blocked',
+  statusCode: STATUS_CODES.AC05,
+  message: PaymentMessages.ACCOUNT_CLOSED,
+  requires: ['debitAccountObj'],
+  evaluate(ctx) {
+    const violations = [];
+    const involvedAccountObjs = [ctx.debitAccountObj, ...ctx.creditAccountObjs];
+
+    involvedAccountObjs.forEach((acc, index) => {
+      if (!acc || involvedAccountObjs.indexOf(acc) !== index) return;
+      const field = index === 0 ? 'debit_account' : 'credit_account';
+
+      if (acc.status === ACCOUNT_STATUSES.CLOSED) {
+        violations.push({ statusReason: `${PaymentMessages.ACCOUNT_CLOSED}: ${acc.id}`, field });
+      } else if (acc.status === ACCOUNT_STATUSES.FROZEN) {
+        violations.push({
+          statusCode: STATUS_CODES.AC06,
+          statusReason: `${PaymentMessages.ACCOUNT_FROZEN}: ${acc.id}`,
+          field,
+        });
+      } else if (acc.status === ACCOUNT_STATUSES.DEBIT_BLOCKED && index === 0) {
+        violations.push({
+          statusCode: STATUS_CODES.AC07,
+          statusReason: `${PaymentMessages.ACCOUNT_DEBIT_BLOCKED}: ${acc.id}`,
+          field,
+        });
+      }
+    });
+
+    return violations;
+  },
+};
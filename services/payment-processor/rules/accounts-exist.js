@@ -0,0 +1,26 @@
+const { PaymentMessages } = require('@app/messages');
+const { STATUS_CODES } = require('../constants');
+
+module.exports = {
+  id: 'accounts_exist',
+  description: 'Debit and credit accounts exist',
+  statusCode: STATUS_CODES.AC03,
+  message: PaymentMessages.ACCOUNT_NOT_FOUND,
+  evaluate(ctx) {
+    const { involvedAccountIds } = ctx;
+    const involvedAccountObjs = [ctx.debitAccountObj, ...ctx.creditAccountObjs];
+    if (involvedAccountObjs.every(Boolean)) {
+      ctx.accountsResolved = true;
+      return true;
+    }
+
+    return involvedAccountIds
+      .filter(
+        (id, index) => !involvedAccountObjs[index] && involvedAccountIds.indexOf(id) === index
+      )
+      .map((id) => ({
+        statusReason: `${PaymentMessages.ACCOUNT_NOT_FOUND}: ${id}`,
+        field: id === ctx.debitAccount ? 'debit_account' : 'credit_account',
+      }));
+  },
+};
@@ -0,0 +1,19 @@
+const { PaymentMessages } = require('@app/messages');
+const { STATUS_CODES } = require('../constants');
+const { parseDecimalAmount } = require('../money');
+
+module.exports = {
+  id: 'amount_format',
+  description: 'Amount is a positive number',
+  statusCode: STATUS_CODES.AM01,
+  message: PaymentMessages.INVALID_AMOUNT,
+  field: 'amount',
+  evaluate(ctx) {
+    const decimalAmount = parseDecimalAmount(ctx.amount);
+    if (!decimalAmount) return false;
+
+    ctx.decimalAmount = decimalAmount;
+    ctx.amountMajor = Number(ctx.amount);
+    return true;
+  },
+};
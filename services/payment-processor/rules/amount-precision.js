@@ -0,0 +1,30 @@
+const { PaymentMessages } = require('@app/messages');
+const { STATUS_CODES } = require('../constants');
+const { toMinorUnits } = require('../money');
+
+module.exports = {
+  id: 'amount_precision',
+  description: "Amount fits the currency's minor units",
+  statusCode: STATUS_CODES.AM02,
+  message: PaymentMessages.INVALID_AMOUNT_PRECISION,
+  field: 'amount',
+  requires: ['decimalAmount', 'minorUnits'],
+  evaluate(ctx) {
+    const amountMinor = toMinorUnits(ctx.decimalAmount, ctx.minorUnits);
+    if (amountMinor === null) {
+      return [
+        {
+          statusReason: `${PaymentMessages.INVALID_AMOUNT_PRECISION}: ${ctx.currency} allows ${ctx.minorUnits} decimal places`,
+        },
+      ];
+    }
+
+    // Too large to hold in minor units
+    if (!Number.isSafeInteger(amountMinor)) {
+      return [{ statusCode: STATUS_CODES.AM01, statusReason: PaymentMessages.INVALID_AMOUNT }];
+    }
+
+    ctx.amountMinor = amountMinor;
+    return true;
+  },
+};
@@ -0,0 +1,36 @@
+const { PaymentMessages } = require('@app/messages');
+const { STATUS_CODES } = require('../constants');
+const { balanceToMinorUnits } = require('../money');
+const { getCurrency } = require('../../currencies/currency-registry');
+
+module.exports = {
+  id: 'currency_limits',
+  description: "Amount is within the currency's minimum and maximum",
+  statusCode: STATUS_CODES.LM02,
+  message: PaymentMessages.AMOUNT_ABOVE_MAXIMUM,
+  field: 'amount',
+  requires: ['amountMinor', 'minorUnits'],
+  evaluate(ctx) {
+    const { currency, amountMinor, minorUnits } = ctx;
+    const { min_amount: minAmount, max_amount: maxAmount } = getCurrency(currency);
+
+    if (minAmount !== null && amountMinor < balanceToMinorUnits(minAmount, minorUnits)) {
+      return [
+        {
+          statusCode: STATUS_CODES.LM01,
+          statusReason: `${PaymentMessages.AMOUNT_BELOW_MINIMUM}: minimum is ${minAmount} ${currency}`,
+        },
+      ];
+    }
+
+    if (maxAmount !== null && amountMinor > balanceToMinorUnits(maxAmount, minorUnits)) {
+      return [
+        {
+          statusReason: `${PaymentMessages.AMOUNT_ABOVE_MAXIMUM}: maximum is ${maxAmount} ${currency}`,
+        },
+      ];
+    }
+
+    return true;
+  },
+};
@@ -0,0 +1,33 @@
+const { PaymentMessages } = require('@app/messages');
+const { STATUS_CODES } = require('../constants');
+
+module.exports = {
+  id: 'currency_match',
+  description: 'Accounts hold the instruction currency',
+  statusCode: STATUS_CODES.CU01,
+  message: PaymentMessages.CURRENCY_MISMATCH,
+  requires: ['debitAccountObj'],
+  evaluate(ctx) {
+    const violations = [];
+
+    if (ctx.debitAccountObj.currency.toUpperCase() === ctx.currency) {
+      ctx.debitCurrencyMatches = true;
+    } else {
+      violations.push({ field: 'debit_account' });
+    }
+
+    // Split credits are same-currency only, so every leg can share the debit's minor units
+    if (ctx.splitLegs) {
+      ctx.creditAccountObjs
+        .filter((acc) => acc && acc.currency.toUpperCase() !== ctx.currency)
+        .forEach((acc) => {
+          violations.push({
+            statusReason: `${PaymentMessages.SPLIT_CURRENCY_MISMATCH}: ${acc.id} holds ${acc.currency.toUpperCase()}`,
+            field: 'credit_account',
+          });
+        });
+    }
+
+    return violations;
+  },
+};
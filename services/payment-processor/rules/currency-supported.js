@@ -0,0 +1,24 @@
+const { PaymentMessages } = require('@app/messages');
+const { STATUS_CODES } = require('../constants');
+const { getCurrency, describeSupportedCurrencies } = require('../../currencies/currency-registry');
+
+module.exports = {
+  id: 'currency_supported',
+  description: 'Currency is enabled in the currency registry',
+  statusCode: STATUS_CODES.CU02,
+  message: PaymentMessages.UNSUPPORTED_CURRENCY,
+  field: 'currency',
+  evaluate(ctx) {
+    const currency = getCurrency(ctx.currency);
+    if (!currency) {
+      return [
+        {
+          statusReason: `${PaymentMessages.UNSUPPORTED_CURRENCY}. Only ${describeSupportedCurrencies()} are supported`,
+        },
+      ];
+    }
+
+    ctx.minorUnits = currency.minor_units;
+    return true;
+  },
+};
@@ -0,0 +1,25 @@
+const { PaymentMessages } = require('@app/messages');
+const { STATUS_CODES } = require('../constants');
+const { balanceToMinorUnits } = require('../money');
+
+module.exports = {
+  id: 'debit_limit',
+  description: "Amount is within the debit account's max_debit",
+  statusCode: STATUS_CODES.LM03,
+  message: PaymentMessages.DEBIT_LIMIT_EXCEEDED,
+  field: 'debit_account',
+  // Only accounts with a max_debit have a limit
+  appliesTo: (ctx) => !ctx.debitAccountObj || typeof ctx.debitAccountObj.max_debit === 'number',
+  requires: ['amountMinor', 'debitCurrencyMatches'],
+  evaluate(ctx) {
+    const { debitAccountObj, currency } = ctx;
+    const maxDebit = debitAccountObj.max_debit;
+    if (ctx.amountMinor <= balanceToMinorUnits(maxDebit, ctx.minorUnits)) return true;
+
+    return [
+      {
+        statusReason: `${PaymentMessages.DEBIT_LIMIT_EXCEEDED}: ${debitAccountObj.id} allows at most ${maxDebit} ${currency} per debit`,
+      },
+    ];
+  },
+};
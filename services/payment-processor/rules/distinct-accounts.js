@@ -0,0 +1,11 @@
+const { PaymentMessages } = require('@app/messages');
+const { STATUS_CODES } = require('../constants');
+
+module.exports = {
+  id: 'distinct_accounts',
+  description: 'Debit and credit accounts are different',
+  statusCode: STATUS_CODES.AC02,
+  message: PaymentMessages.SAME_ACCOUNT_ERROR,
+  field: 'credit_account',
+  evaluate: (ctx) => !ctx.creditAccountIds.includes(ctx.debitAccount),
+};
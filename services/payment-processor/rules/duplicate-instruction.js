@@ -0,0 +1,24 @@
+const { PaymentMessages } = require('@app/messages');
+const { STATUS_CODES } = require('../constants');
+
+module.exports = {
+  id: 'duplicate_instruction',
+  description: 'The same instruction was not executed within the duplicate window',
+  statusCode: STATUS_CODES.DU01,
+  message: PaymentMessages.POSSIBLE_DUPLICATE,
+  field: 'instruction',
+  // Only checked when the caller supplies recently executed instructions
+  appliesTo: (ctx) => Boolean(ctx.options.recentInstructions),
+  evaluate(ctx) {
+    const match = ctx.options.recentInstructions.find(
+      (record) => record.fingerprint === ctx.fingerprint
+    );
+    if (!match) return true;
+
+    return [
+      {
+        statusReason: `${PaymentMessages.POSSIBLE_DUPLICATE}: ${match.id} at ${match.created_at}`,
+      },
+    ];
+  },
+};
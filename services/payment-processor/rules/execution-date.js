@@ -0,0 +1,42 @@
+const { PaymentMessages } = require('@app/messages');
+const { STATUS_CODES } = require('../constants');
+const { resolveExecutionDate } = require('../execution-date');
+const { resolveRecurrence } = require('../recurrence');
+
+const DATE_MESSAGES = {
+  [STATUS_CODES.DT01]: PaymentMessages.INVALID_DATE_FORMAT,
+  [STATUS_CODES.DT02]: PaymentMessages.EXECUTION_DATE_IN_PAST,
+  [STATUS_CODES.DT03]: PaymentMessages.AMBIGUOUS_EXECUTION_DATE,
+  [STATUS_CODES.DT04]: PaymentMessages.INVALID_RECURRENCE,
+};
+
+module.exports = {
+  id: 'execution_date',
+  description: 'Schedule clause resolves to a date that has not passed',
+  statusCode: STATUS_CODES.DT01,
+  message: PaymentMessages.INVALID_DATE_FORMAT,
+  field: 'execute_by',
+  // A due scheduled instruction already has its execution time
+  appliesTo: (ctx) => ctx.schedule !== null && !ctx.options.scheduledExecuteBy,
+  evaluate(ctx) {
+    const { schedule } = ctx;
+    const resolution =
+      schedule.keyword === 'EVERY' ? resolveRecurrence(schedule) : resolveExecutionDate(schedule);
+
+    if (resolution.statusCode) {
+      return [
+        {
+          statusCode: resolution.statusCode,
+          statusReason: `${DATE_MESSAGES[resolution.statusCode]}: ${
+            resolution.detail || ctx.executeBy
+          }`,
+        },
+      ];
+    }
+
+    ctx.executeBy = resolution.executeBy;
+    ctx.isDue = resolution.isDue;
+    ctx.recurrence = resolution.recurrence || null;
+    return true;
+  },
+};
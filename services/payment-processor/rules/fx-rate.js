@@ -0,0 +1,78 @@
+const { PaymentMessages } = require('@app/messages');
+const { STATUS_CODES } = require('../constants');
+const { parseDecimalAmount } = require('../money');
+const { isSupportedCurrency } = require('../../currencies/currency-registry');
+
+/**
+ * Resolves the FX rate for a transfer, preferring an AT RATE clause over the request's fx_rates
+ * @param {string} fromCurrency - Debit account currency
+ * @param {string} toCurrency - Credit account currency
+ * @param {string|null} instructionRate - Rate from the AT RATE clause, if any
+ * @param {Array<{from: string, to: string, rate: number}>} [fxRates] - Rate table from the request
+ * @returns {object} - { rate, source } on success, or { statusCode, statusReason } on failure
+ */
+function resolveFxRate(fromCurrency, toCurrency, instructionRate, fxRates = []) {
+  if (fromCurrency === toCurrency) {
+    return {
+      statusCode: STATUS_CODES.CU04,
+      statusReason: `${PaymentMessages.FX_RATE_NOT_APPLICABLE}: both accounts hold ${fromCurrency}`,
+    };
+  }
+
+  if (!isSupportedCurrency(toCurrency)) {
+    return {
+      statusCode: STATUS_CODES.CU02,
+      statusReason: `${PaymentMessages.UNSUPPORTED_CURRENCY}: ${toCurrency}`,
+    };
+  }
+
+  let rateStr = instructionRate;
+  let source = 'instruction';
+
+  if (rateStr === null) {
+    const entry = fxRates.find(
+      (fx) => fx.from.toUpperCase() === fromCurrency && fx.to.toUpperCase() === toCurrency
+    );
+
+    if (!entry) {
+      return {
+        statusCode: STATUS_CODES.CU03,
+        statusReason: `${PaymentMessages.FX_RATE_NOT_FOUND}: ${fromCurrency} to ${toCurrency}`,
+      };
+    }
+
+    rateStr = String(entry.rate);
+    source = 'fx_rates';
+  }
+
+  const rate = parseDecimalAmount(rateStr);
+  if (!rate) {
+    return {
+      statusCode: STATUS_CODES.CU04,
+      statusReason: `${PaymentMessages.INVALID_FX_RATE}: ${rateStr}`,
+    };
+  }
+
+  return { rate, rateStr, source };
+}
+
+module.exports = {
+  id: 'fx_rate',
+  description: 'A valid FX rate is available for a cross-currency transfer',
+  statusCode: STATUS_CODES.CU03,
+  message: PaymentMessages.FX_RATE_NOT_FOUND,
+  field: 'currency',
+  // Cross-currency transfers (or an explicit AT RATE clause) need an FX rate; holds credit no one
+  appliesTo: (ctx) =>
+    ctx.creditAccountIds.length > 0 && (ctx.creditCurrency !== ctx.currency || ctx.rate !== null),
+  requires: ['minorUnits', 'creditCurrency'],
+  evaluate(ctx) {
+    const fxRate = resolveFxRate(ctx.currency, ctx.creditCurrency, ctx.rate, ctx.fxRates);
+    if (fxRate.statusCode) {
+      return [{ statusCode: fxRate.statusCode, statusReason: fxRate.statusReason }];
+    }
+
+    ctx.fxRate = fxRate;
+    return true;
+  },
+};
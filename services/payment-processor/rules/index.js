@@ -0,0 +1,38 @@
+const amountFormat = require('./amount-format');
+const splitLegs = require('./split-legs');
+const accountIdFormat = require('./account-id-format');
+const executionDate = require('./execution-date');
+const currencySupported = require('./currency-supported');
+const amountPrecision = require('./amount-precision');
+const splitAllocation = require('./split-allocation');
+const reversalAmount = require('./reversal-amount');
+const distinctAccounts = require('./distinct-accounts');
+const accountsExist = require('./accounts-exist');
+const accountStatus = require('./account-status');
+const currencyMatch = require('./currency-match');
+const fxRate = require('./fx-rate');
+const currencyLimits = require('./currency-limits');
+const debitLimit = require('./debit-limit');
+const sufficientFunds = require('./sufficient-funds');
+const duplicateInstruction = require('./duplicate-instruction');
+
+// Built-in business rules, in the order they are evaluated
+module.exports = [
+  amountFormat,
+  splitLegs,
+  accountIdFormat,
+  executionDate,
+  currencySupported,
+  amountPrecision,
+  splitAllocation,
+  reversalAmount,
+  distinctAccounts,
+  accountsExist,
+  accountStatus,
+  currencyMatch,
+  fxRate,
+  currencyLimits,
+  debitLimit,
+  sufficientFunds,
+  duplicateInstruction,
+];
@@ -0,0 +1,23 @@
+const { PaymentMessages } = require('@app/messages');
+const { STATUS_CODES } = require('../constants');
+const { fromMinorUnits } = require('../money');
+
+module.exports = {
+  id: 'reversal_amount',
+  description: 'A refund is no more than what is left to reverse of the original transfer',
+  statusCode: STATUS_CODES.RV02,
+  message: PaymentMessages.REFUND_EXCEEDS_REMAINING,
+  field: 'amount',
+  // Only REVERSE and REFUND have an original transfer
+  appliesTo: (ctx) => ctx.reversibleMinor !== null,
+  requires: ['amountMinor'],
+  evaluate(ctx) {
+    if (ctx.amountMinor <= ctx.reversibleMinor) return true;
+
+    return [
+      {
+        statusReason: `${PaymentMessages.REFUND_EXCEEDS_REMAINING}: ${fromMinorUnits(ctx.reversibleMinor, ctx.minorUnits)} ${ctx.currency} left of ${ctx.originalReference}`,
+      },
+    ];
+  },
+};
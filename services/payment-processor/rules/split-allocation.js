@@ -0,0 +1,22 @@
+const { PaymentMessages } = require('@app/messages');
+const { STATUS_CODES } = require('../constants');
+const { allocateCreditSplit } = require('../credit-split');
+
+module.exports = {
+  id: 'split_allocation',
+  description: 'Split legs add up to the instruction amount',
+  statusCode: STATUS_CODES.AM03,
+  message: PaymentMessages.SPLIT_AMOUNT_TOTAL,
+  field: 'credit_account',
+  appliesTo: (ctx) => ctx.splitLegs !== null,
+  requires: ['validSplitLegs', 'amountMinor'],
+  evaluate(ctx) {
+    const allocation = allocateCreditSplit(ctx.validSplitLegs, ctx.amountMinor, ctx.minorUnits);
+    if (allocation.statusCode) {
+      return [{ statusCode: allocation.statusCode, statusReason: allocation.statusReason }];
+    }
+
+    ctx.creditAmounts = allocation.amounts;
+    return true;
+  },
+};
@@ -0,0 +1,19 @@
+const { PaymentMessages } = require('@app/messages');
+const { STATUS_CODES } = require('../constants');
+
+module.exports = {
+  id: 'split_legs',
+  description: 'Split legs are written as [account_id]:[amount] or [account_id]:[percentage]%',
+  statusCode: STATUS_CODES.AM03,
+  message: PaymentMessages.INVALID_SPLIT_LEG,
+  field: 'credit_account',
+  appliesTo: (ctx) => ctx.splitLegs !== null,
+  evaluate(ctx) {
+    const invalidLegs = ctx.splitLegs.filter((leg) => !leg.decimal);
+    if (invalidLegs.length === 0) ctx.validSplitLegs = ctx.splitLegs;
+
+    return invalidLegs.map((leg) => ({
+      statusReason: `${PaymentMessages.INVALID_SPLIT_LEG}: ${leg.entry}`,
+    }));
+  },
+};
@@ -0,0 +1,40 @@
+const { PaymentMessages } = require('@app/messages');
+const { STATUS_CODES } = require('../constants');
+const { balanceToMinorUnits, fromMinorUnits } = require('../money');
+
+module.exports = {
+  id: 'sufficient_funds',
+  description:
+    'Debit account available balance (balance plus overdraft_limit, less held funds) covers the amount',
+  statusCode: STATUS_CODES.AC01,
+  message: PaymentMessages.INSUFFICIENT_FUNDS,
+  field: 'debit_account',
+  requires: ['amountMinor', 'debitCurrencyMatches'],
+  evaluate(ctx) {
+    const { debitAccountObj, currency, minorUnits } = ctx;
+    const overdraftLimit = debitAccountObj.overdraft_limit || 0;
+
+    // Balance arithmetic is done in integer minor units to avoid floating point errors.
+    // A CAPTURE spends the funds its own hold reserved.
+    const heldMinor =
+      balanceToMinorUnits(debitAccountObj.held || 0, minorUnits) -
+      (ctx.hold ? ctx.hold.amount_minor : 0);
+    const availableMinor =
+      balanceToMinorUnits(debitAccountObj.balance, minorUnits) +
+      balanceToMinorUnits(overdraftLimit, minorUnits) -
+      heldMinor;
+    if (availableMinor >= ctx.amountMinor) return true;
+
+    let has =
+      overdraftLimit > 0
+        ? `${debitAccountObj.balance} ${currency} plus a ${overdraftLimit} ${currency} overdraft`
+        : `${debitAccountObj.balance} ${currency}`;
+    if (heldMinor > 0)
+      has += `, of which ${fromMinorUnits(heldMinor, minorUnits)} ${currency} is held`;
+    return [
+      {
+        statusReason: `${PaymentMessages.INSUFFICIENT_FUNDS}: has ${has}, needs ${ctx.amountMajor} ${currency}`,
+      },
+    ];
+  },
+};
@@ -0,0 +1,68 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { ERROR_CODE } = require('@app-core/errors');
+const validateAccountSet = require('../validate-account-set');
+
+/**
+ * @returns {Array<[string, string]>} - Status code and field of every problem found
+ */
+function listProblems(accounts) {
+  try {
+    validateAccountSet(accounts);
+  } catch (error) {
+    assert.strictEqual(error.errorCode, ERROR_CODE.VALIDATIONERR);
+    return error.details.map((problem) => [problem.status_code, problem.field]);
+  }
+  return [];
+}
+
+describe('validateAccountSet', () => {
+  it('accepts a valid account set', () => {
+    assert.deepStrictEqual(
+      listProblems([
+        { id: 'a', balance: -20, currency: 'USD', overdraft_limit: 20 },
+        { id: 'b', balance: 0, currency: 'NGN', held: 0 },
+      ]),
+      []
+    );
+  });
+
+  it('lists every problem in a single error', () => {
+    assert.deepStrictEqual(
+      listProblems([
+        { id: 'a', balance: 10, currency: 'USD' },
+        { id: 'a', balance: 10, currency: 'USD' },
+        { id: 'b', balance: 10, currency: 'XYZ' },
+      ]),
+      [
+        ['AC08', 'accounts[1].id'],
+        ['CU05', 'accounts[2].currency'],
+      ]
+    );
+  });
+
+  it('rejects IDs that differ only by letter case', () => {
+    assert.deepStrictEqual(
+      listProblems([
+        { id: 'abc', balance: 0, currency: 'USD' },
+        { id: 'ABC', balance: 0, currency: 'USD' },
+      ]),
+      [['AC09', 'accounts[1].id']]
+    );
+  });
+
+  it('rejects balances beyond the overdraft_limit and negative held amounts', () => {
+    assert.deepStrictEqual(
+      listProblems([
+        { id: 'a', balance: -50, currency: 'USD' },
+        { id: 'b', balance: -50, currency: 'USD', overdraft_limit: 20 },
+        { id: 'c', balance: 0, currency: 'USD', held: -1 },
+      ]),
+      [
+        ['AC10', 'accounts[0].balance'],
+        ['AC10', 'accounts[1].balance'],
+        ['AC11', 'accounts[2].held'],
+      ]
+    );
+  });
+});
@@ -0,0 +1,34 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+
+process.env.RECEIPT_SIGNING_SECRET = 'test-secret';
+const parsePaymentInstruction = require('../parse-instruction');
+
+async function transfer(debitStatus, creditStatus) {
+  return parsePaymentInstruction({
+    accounts: [
+      { id: 'a', balance: 100, currency: 'USD', status: debitStatus },
+      { id: 'b', balance: 0, currency: 'USD', status: creditStatus },
+    ],
+    instruction: 'DEBIT 10 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+  });
+}
+
+describe('account status', () => {
+  it('lets active accounts send and receive', async () => {
+    assert.strictEqual((await transfer('active', 'active')).status_code, 'AP00');
+    assert.strictEqual((await transfer(undefined, undefined)).status_code, 'AP00');
+  });
+
+  it('stops frozen and closed accounts from sending or receiving', async () => {
+    assert.strictEqual((await transfer('frozen', 'active')).status_code, 'AC06');
+    assert.strictEqual((await transfer('active', 'frozen')).status_code, 'AC06');
+    assert.strictEqual((await transfer('closed', 'active')).status_code, 'AC05');
+    assert.strictEqual((await transfer('active', 'closed')).status_code, 'AC05');
+  });
+
+  it('lets a debit-blocked account receive but not send', async () => {
+    assert.strictEqual((await transfer('debit_blocked', 'active')).status_code, 'AC07');
+    assert.strictEqual((await transfer('active', 'debit_blocked')).status_code, 'AP00');
+  });
+});
@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { ERROR_CODE } = require('@app-core/errors');
+
+process.env.RECEIPT_SIGNING_SECRET = 'test-secret';
+const processInstructionBatch = require('../process-instruction-batch');
+
+const accounts = [
+  { id: 'a', balance: 100, currency: 'USD' },
+  { id: 'b', balance: 0, currency: 'USD' },
+];
+const transfer = 'DEBIT 60 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b';
+
+describe('processInstructionBatch', () => {
+  it('applies each instruction to the balances left by the previous one', async () => {
+    const batch = await processInstructionBatch({ accounts, instructions: [transfer, transfer] });
+
+    assert.deepStrictEqual(
+      batch.results.map((result) => result.status_code),
+      ['AP00', 'AC01']
+    );
+    assert.deepStrictEqual(batch.summary, {
+      total: 2,
+      successful: 1,
+      pending: 0,
+      failed: 1,
+      skipped: 0,
+    });
+    assert.deepStrictEqual(
+      batch.accounts.map((acc) => [acc.id, acc.balance_before, acc.balance]),
+      [
+        ['a', 100, 40],
+        ['b', 0, 60],
+      ]
+    );
+  });
+
+  it('skips everything after the first failure with on_failure stop', async () => {
+    const batch = await processInstructionBatch({
+      accounts,
+      instructions: [transfer, transfer, 'DEBIT 10 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b'],
+      on_failure: 'stop',
+    });
+
+    assert.strictEqual(batch.results.length, 2);
+    assert.strictEqual(batch.summary.skipped, 1);
+    assert.strictEqual(batch.accounts[0].balance, 40);
+  });
+
+  it('counts future-dated instructions as pending and leaves balances untouched', async () => {
+    const batch = await processInstructionBatch({
+      accounts,
+      instructions: [
+        `${transfer} ON 2099-01-01`,
+        'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+      ],
+    });
+
+    assert.deepStrictEqual(
+      batch.results.map((result) => result.status_code),
+      ['AP02', 'AP00']
+    );
+    assert.strictEqual(batch.summary.pending, 1);
+    assert.strictEqual(batch.accounts[0].balance, 0);
+  });
+
+  it('rejects an account set with a repeated account ID', async () => {
+    await assert.rejects(
+      processInstructionBatch({
+        accounts: [...accounts, { id: 'a', balance: 5, currency: 'USD' }],
+        instructions: [transfer],
+      }),
+      { errorCode: ERROR_CODE.VALIDATIONERR }
+    );
+  });
+});
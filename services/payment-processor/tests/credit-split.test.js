@@ -0,0 +1,104 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { parseCreditSplit, allocateCreditSplit } = require('../credit-split');
+
+process.env.RECEIPT_SIGNING_SECRET = 'test-secret';
+const parsePaymentInstruction = require('../parse-instruction');
+
+const accounts = ['a', 'b', 'c', 'd'].map((id) => ({
+  id,
+  balance: id === 'a' ? 1000 : 0,
+  currency: 'USD',
+}));
+
+async function split(instruction) {
+  return parsePaymentInstruction({ accounts, instruction });
+}
+
+describe('allocateCreditSplit', () => {
+  it('gives leftover minor units to the largest rounded-off fractions', () => {
+    const legs = parseCreditSplit('b:33.333333%, c:33.333333%, d:33.333334%');
+
+    assert.deepStrictEqual(allocateCreditSplit(legs, 99999999, 2), {
+      amounts: [33333333, 33333333, 33333333],
+    });
+  });
+
+  it('allocates percentages of the largest safe amount exactly', () => {
+    const legs = parseCreditSplit('b:1%, c:1%, d:98%');
+    const { amounts } = allocateCreditSplit(legs, Number.MAX_SAFE_INTEGER, 0);
+
+    assert.deepStrictEqual(amounts, [90071992547410, 90071992547410, 8827055269646171]);
+    assert.strictEqual(
+      amounts.reduce((sum, amount) => sum + BigInt(amount), 0n),
+      BigInt(Number.MAX_SAFE_INTEGER)
+    );
+  });
+});
+
+describe('split credits', () => {
+  it('credits fixed amounts to each leg', async () => {
+    const result = await split('DEBIT 1000 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNTS b:600, c:400');
+
+    assert.strictEqual(result.status_code, 'AP00');
+    assert.strictEqual(result.credit_account, null);
+    assert.deepStrictEqual(result.legs, [
+      { credit_account: 'b', amount: 600, amount_minor: 60000, percentage: null },
+      { credit_account: 'c', amount: 400, amount_minor: 40000, percentage: null },
+    ]);
+    assert.deepStrictEqual(
+      result.accounts.map((acc) => [acc.id, acc.balance]),
+      [
+        ['a', 0],
+        ['b', 600],
+        ['c', 400],
+      ]
+    );
+  });
+
+  it('splits by percentage so the legs add up to the amount', async () => {
+    const result = await split(
+      'CREDIT 0.10 USD TO ACCOUNTS b:33%, c:33%, d:34% FOR DEBIT FROM ACCOUNT a'
+    );
+
+    assert.strictEqual(result.status_code, 'AP00');
+    assert.deepStrictEqual(
+      result.legs.map((leg) => [leg.credit_account, leg.amount_minor, leg.percentage]),
+      [
+        ['b', 3, 33],
+        ['c', 3, 33],
+        ['d', 4, 34],
+      ]
+    );
+  });
+
+  it('rejects legs that do not add up, mix amounts and percentages or repeat an account', async () => {
+    const invalidSplits = [
+      ['b:60, c:30', 'Split amounts must add up to the instruction amount'],
+      ['b:60%, c:40', 'Split legs must be all amounts or all percentages'],
+      ['b:50, b:50', 'An account can only be credited once in a split: b'],
+    ];
+
+    for (let i = 0; i < invalidSplits.length; i += 1) {
+      const [legs, reason] = invalidSplits[i];
+      // eslint-disable-next-line no-await-in-loop
+      const result = await split(`DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNTS ${legs}`);
+
+      assert.strictEqual(result.status_code, 'AM03', legs);
+      assert.strictEqual(result.status_reason, reason);
+      assert.strictEqual(result.accounts[0].balance, 1000);
+    }
+  });
+
+  it('checks funds and the debit account once for the whole split', async () => {
+    const unfunded = await split(
+      'DEBIT 2000 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNTS b:1000, c:1000'
+    );
+    const sameAccount = await split(
+      'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNTS a:50, c:50'
+    );
+
+    assert.strictEqual(unfunded.status_code, 'AC01');
+    assert.strictEqual(sameAccount.status_code, 'AC02');
+  });
+});
@@ -0,0 +1,89 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+
+process.env.RECEIPT_SIGNING_SECRET = 'test-secret';
+const parsePaymentInstruction = require('../parse-instruction');
+
+const accounts = [
+  { id: 'a', balance: 230, currency: 'USD' },
+  { id: 'b', balance: 300, currency: 'USD' },
+];
+
+async function diagnose(instruction) {
+  const result = await parsePaymentInstruction({ accounts, instruction });
+  return { statusCode: result.status_code, ...result.diagnostic };
+}
+
+describe('syntax diagnostics', () => {
+  it('reports a misspelled keyword as missing, with a suggestion', async () => {
+    const result = await parsePaymentInstruction({
+      accounts,
+      instruction: 'DEBIT 30 USD FROM ACCCOUNT a FOR CREDIT TO ACCOUNT b',
+    });
+
+    assert.strictEqual(result.status_code, 'SY01');
+    assert.strictEqual(
+      result.status_reason,
+      'Missing required keyword: expected ACCOUNT at position 18, found "ACCCOUNT". Did you mean ACCOUNT?'
+    );
+    assert.deepStrictEqual(result.diagnostic, {
+      expected: 'ACCOUNT',
+      found: 'ACCCOUNT',
+      position: 18,
+      suggestion: 'ACCOUNT',
+    });
+    assert.deepStrictEqual(result.accounts, []);
+  });
+
+  it('reports a keyword that only appears later as out of order', async () => {
+    assert.deepStrictEqual(await diagnose('DEBIT 30 USD ACCOUNT a FROM FOR CREDIT TO ACCOUNT b'), {
+      statusCode: 'SY02',
+      expected: 'FROM',
+      found: 'ACCOUNT',
+      position: 13,
+      suggestion: null,
+    });
+  });
+
+  it('finds a misspelled keyword swallowed into the account ID before it', async () => {
+    assert.deepStrictEqual(await diagnose('DEBIT 30 USD FROM ACCOUNT a FRO CREDIT TO ACCOUNT b'), {
+      statusCode: 'SY01',
+      expected: 'FOR',
+      found: 'FRO',
+      position: 28,
+      suggestion: 'FOR',
+    });
+  });
+
+  it('suggests the closest leading keyword', async () => {
+    const diagnostic = await diagnose('DEBT 30 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b');
+
+    assert.strictEqual(diagnostic.statusCode, 'SY01');
+    assert.strictEqual(diagnostic.position, 0);
+    assert.strictEqual(diagnostic.suggestion, 'DEBIT');
+  });
+
+  it('does not suggest a keyword for an unrelated word', async () => {
+    const diagnostic = await diagnose('DEBIT 30 USD FROM ACCOUNT a CREDIT TO ACCOUNT b');
+
+    assert.deepStrictEqual(diagnostic, {
+      statusCode: 'SY01',
+      expected: 'FOR',
+      found: 'CREDIT',
+      position: 28,
+      suggestion: null,
+    });
+  });
+
+  it('reports the end of the instruction when it stops early', async () => {
+    const diagnostic = await diagnose('DEBIT 30 USD FROM ACCOUNT a FOR CREDIT TO');
+
+    assert.deepStrictEqual(diagnostic, {
+      statusCode: 'SY01',
+      expected: 'ACCOUNT or ACCOUNTS',
+      found: null,
+      position: 41,
+      suggestion: null,
+    });
+  });
+});
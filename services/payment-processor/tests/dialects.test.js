@@ -0,0 +1,86 @@
+const { describe, it, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dialects-test-'));
+process.env.DIALECT_REGISTRY_FILE = path.join(storeDir, 'dialects.json');
+process.env.RECEIPT_SIGNING_SECRET = 'test-secret';
+fs.writeFileSync(
+  process.env.DIALECT_REGISTRY_FILE,
+  JSON.stringify({
+    dialects: [
+      { name: 'pay', verb: 'PAY', debit_keyword: 'FROM', credit_keyword: 'TO', enabled: true },
+      {
+        name: 'receive',
+        verb: 'RECEIVE',
+        debit_keyword: 'FROM',
+        credit_keyword: 'INTO',
+        credit_first: true,
+        enabled: true,
+      },
+    ],
+  })
+);
+
+const parsePaymentInstruction = require('../parse-instruction');
+
+after(() => fs.rmSync(storeDir, { recursive: true, force: true }));
+
+const accounts = ['a', 'b', 'pay', 'receive', 'into'].map((id) => ({
+  id,
+  balance: 100,
+  currency: 'USD',
+}));
+
+describe('dialects', () => {
+  it('parses a synonym grammar into the same transfer as DEBIT', async () => {
+    const result = await parsePaymentInstruction({
+      accounts,
+      instruction: 'PAY 30 USD FROM ACCOUNT a TO ACCOUNT b',
+    });
+
+    assert.strictEqual(result.status_code, 'AP00');
+    assert.strictEqual(result.type, 'DEBIT');
+    assert.strictEqual(result.dialect, 'pay');
+    assert.strictEqual(result.debit_account, 'a');
+    assert.strictEqual(result.credit_account, 'b');
+  });
+
+  it('parses a credit_first dialect with its own credit keyword', async () => {
+    const result = await parsePaymentInstruction({
+      accounts,
+      instruction: 'RECEIVE 30 USD INTO b FROM a REF inv-1',
+    });
+
+    assert.strictEqual(result.status_code, 'AP00');
+    assert.strictEqual(result.type, 'CREDIT');
+    assert.strictEqual(result.credit_account, 'b');
+    assert.strictEqual(result.debit_account, 'a');
+    assert.strictEqual(result.reference, 'inv-1');
+  });
+
+  it('treats dialect words as plain account IDs outside their grammar positions', async () => {
+    const result = await parsePaymentInstruction({
+      accounts,
+      instruction: 'DEBIT 1 USD FROM ACCOUNT pay FOR CREDIT TO ACCOUNT into',
+    });
+
+    assert.strictEqual(result.status_code, 'AP00');
+    assert.strictEqual(result.dialect, 'standard');
+    assert.strictEqual(result.debit_account, 'pay');
+    assert.strictEqual(result.credit_account, 'into');
+  });
+
+  it('accepts dialect words as account IDs inside a dialect instruction', async () => {
+    const result = await parsePaymentInstruction({
+      accounts,
+      instruction: 'RECEIVE 5 USD INTO receive FROM pay',
+    });
+
+    assert.strictEqual(result.status_code, 'AP00');
+    assert.strictEqual(result.credit_account, 'receive');
+    assert.strictEqual(result.debit_account, 'pay');
+  });
+});
@@ -0,0 +1,90 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { resolveExecutionDate } = require('../execution-date');
+
+process.env.RECEIPT_SIGNING_SECRET = 'test-secret';
+const parsePaymentInstruction = require('../parse-instruction');
+
+// Monday 2026-10-19, 12:00 UTC
+const NOW = Date.UTC(2026, 9, 19, 12, 0);
+
+const on = (value) => resolveExecutionDate({ keyword: 'ON', value }, NOW);
+const inClause = (value) => resolveExecutionDate({ keyword: 'IN', value }, NOW);
+
+describe('resolveExecutionDate', () => {
+  it('runs a date at midnight UTC and today immediately', () => {
+    assert.deepStrictEqual(on('2026-12-31'), {
+      executeBy: '2026-12-31T00:00:00.000Z',
+      isDue: false,
+    });
+    assert.deepStrictEqual(on('2026-10-19'), {
+      executeBy: '2026-10-19T00:00:00.000Z',
+      isDue: true,
+    });
+  });
+
+  it('converts datetimes with an offset to UTC', () => {
+    assert.strictEqual(on('2026-12-31T09:00+01:00').executeBy, '2026-12-31T08:00:00.000Z');
+  });
+
+  it('accepts TODAY and TOMORROW in any case', () => {
+    assert.deepStrictEqual(on('today'), { executeBy: '2026-10-19T00:00:00.000Z', isDue: true });
+    assert.deepStrictEqual(on('TOMORROW'), {
+      executeBy: '2026-10-20T00:00:00.000Z',
+      isDue: false,
+    });
+  });
+
+  it('adds an IN delay to the current time', () => {
+    assert.strictEqual(inClause('3 DAYS').executeBy, '2026-10-22T12:00:00.000Z');
+    assert.strictEqual(inClause('1 hour').executeBy, '2026-10-19T13:00:00.000Z');
+  });
+
+  it('rejects past dates with DT02', () => {
+    assert.deepStrictEqual(on('2026-10-18'), { statusCode: 'DT02' });
+    assert.deepStrictEqual(on('2026-10-19T11:00Z'), { statusCode: 'DT02' });
+  });
+
+  it('rejects a datetime without a UTC offset with DT03', () => {
+    assert.deepStrictEqual(on('2026-12-31T09:00'), { statusCode: 'DT03' });
+  });
+
+  it('rejects anything else with DT01', () => {
+    ['2026-02-30', 'soon'].forEach((value) => {
+      assert.deepStrictEqual(on(value), { statusCode: 'DT01' }, value);
+    });
+    ['0 DAYS', '2 YEARS'].forEach((value) => {
+      assert.deepStrictEqual(inClause(value), { statusCode: 'DT01' }, value);
+    });
+  });
+});
+
+describe('scheduled instructions', () => {
+  const accounts = [
+    { id: 'a', balance: 100, currency: 'USD' },
+    { id: 'b', balance: 0, currency: 'USD' },
+  ];
+
+  it('leaves a future-dated transfer pending with its execution time', async () => {
+    const result = await parsePaymentInstruction({
+      accounts,
+      instruction: 'DEBIT 30 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b ON 2099-01-01',
+    });
+
+    assert.strictEqual(result.status_code, 'AP02');
+    assert.strictEqual(result.execute_by, '2099-01-01T00:00:00.000Z');
+    assert.deepStrictEqual(
+      result.accounts.map((acc) => acc.balance),
+      [100, 0]
+    );
+  });
+
+  it('fails a transfer dated in the past with DT02', async () => {
+    const result = await parsePaymentInstruction({
+      accounts,
+      instruction: 'DEBIT 30 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b ON 2020-01-01',
+    });
+
+    assert.strictEqual(result.status_code, 'DT02');
+  });
+});
@@ -0,0 +1,79 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+
+process.env.RECEIPT_SIGNING_SECRET = 'test-secret';
+const parsePaymentInstruction = require('../parse-instruction');
+
+const accounts = [
+  { id: 'a', balance: 10, currency: 'USD' },
+  { id: 'b', balance: 0, currency: 'USD' },
+];
+
+describe('explain mode', () => {
+  it('lists the tokens, clauses and every rule with its outcome', async () => {
+    const result = await parsePaymentInstruction(
+      { accounts, instruction: 'DEBIT 30 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b' },
+      { explain: true }
+    );
+    const { tokens, clauses, rules } = result.explanation;
+
+    assert.strictEqual(result.status_code, 'AC01');
+    assert.deepStrictEqual(tokens.slice(0, 3), [
+      { type: 'keyword', value: 'DEBIT', position: 0 },
+      { type: 'number', value: '30', position: 6 },
+      { type: 'currency', value: 'USD', position: 9 },
+    ]);
+    assert.deepStrictEqual(clauses, [
+      { name: 'payment', text: 'DEBIT 30 USD', position: 0 },
+      { name: 'debit', text: 'FROM ACCOUNT a', position: 13 },
+      { name: 'credit', text: 'FOR CREDIT TO ACCOUNT b', position: 28 },
+    ]);
+
+    const outcome = (id) => rules.find((rule) => rule.rule === id);
+    assert.strictEqual(rules[0].rule, 'syntax');
+    assert.strictEqual(outcome('amount_format').outcome, 'pass');
+    assert.deepStrictEqual(
+      [outcome('split_legs').outcome, outcome('split_legs').reason],
+      ['skipped', 'not applicable']
+    );
+    assert.deepStrictEqual(
+      [outcome('sufficient_funds').outcome, outcome('sufficient_funds').status_code],
+      ['fail', 'AC01']
+    );
+    assert.deepStrictEqual(
+      [outcome('duplicate_instruction').outcome, outcome('duplicate_instruction').reason],
+      ['skipped', 'an earlier rule failed']
+    );
+  });
+
+  it('shows how far the parser got when parsing fails', async () => {
+    const result = await parsePaymentInstruction(
+      { accounts, instruction: 'DEBIT 30 USD FROM ACCCOUNT a' },
+      { explain: true }
+    );
+    const { tokens, clauses, rules } = result.explanation;
+
+    assert.strictEqual(result.status_code, 'SY01');
+    assert.strictEqual(tokens.length, 6);
+    assert.deepStrictEqual(clauses, [
+      { name: 'payment', text: 'DEBIT 30 USD', position: 0 },
+      { name: 'debit', text: 'FROM', position: 13 },
+    ]);
+    assert.deepStrictEqual(rules[0], {
+      rule: 'syntax',
+      description: 'Instruction matches one of the instruction grammars',
+      outcome: 'fail',
+      status_code: 'SY01',
+    });
+    assert.ok(rules.slice(1).every((rule) => rule.outcome === 'skipped'));
+  });
+
+  it('leaves the explanation out unless asked for', async () => {
+    const result = await parsePaymentInstruction({
+      accounts,
+      instruction: 'DEBIT 5 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+    });
+
+    assert.strictEqual(result.explanation, undefined);
+  });
+});
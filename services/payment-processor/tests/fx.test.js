@@ -0,0 +1,83 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+
+process.env.RECEIPT_SIGNING_SECRET = 'test-secret';
+const parsePaymentInstruction = require('../parse-instruction');
+
+const accounts = [
+  { id: 'a', balance: 100, currency: 'USD' },
+  { id: 'b', balance: 1000, currency: 'NGN' },
+];
+
+describe('cross-currency transfers', () => {
+  it('converts with the fx_rates table and rounds the credit half up', async () => {
+    const result = await parsePaymentInstruction({
+      accounts,
+      fx_rates: [{ from: 'USD', to: 'NGN', rate: 1500.255 }],
+      instruction: 'DEBIT 10.50 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+    });
+
+    assert.strictEqual(result.status_code, 'AP00');
+    assert.deepStrictEqual(result.fx, {
+      from_currency: 'USD',
+      to_currency: 'NGN',
+      rate: 1500.255,
+      rate_source: 'fx_rates',
+      credit_amount: 15752.68,
+      credit_amount_minor: 1575268,
+      rounding: { mode: 'half_up', exact_amount: '15752.6775', adjustment: '0.0025' },
+    });
+    assert.deepStrictEqual(
+      result.accounts.map((acc) => acc.balance),
+      [89.5, 16752.68]
+    );
+  });
+
+  it('prefers the AT RATE clause over the fx_rates table', async () => {
+    const result = await parsePaymentInstruction({
+      accounts,
+      fx_rates: [{ from: 'USD', to: 'NGN', rate: 1500.255 }],
+      instruction: 'DEBIT 10 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b AT RATE 1600',
+    });
+
+    assert.strictEqual(result.status_code, 'AP00');
+    assert.strictEqual(result.fx.rate_source, 'instruction');
+    assert.strictEqual(result.fx.credit_amount, 16000);
+  });
+
+  it('converts large amounts exactly', async () => {
+    const result = await parsePaymentInstruction({
+      accounts: [
+        { id: 'a', balance: 1000000, currency: 'USD' },
+        { id: 'b', balance: 0, currency: 'NGN' },
+      ],
+      instruction: 'DEBIT 999999.99 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b AT RATE 33.333335',
+    });
+
+    assert.strictEqual(result.status_code, 'AP00');
+    assert.strictEqual(result.fx.rounding.exact_amount, '33333334.66666665');
+    assert.strictEqual(result.fx.credit_amount_minor, 3333333467);
+  });
+
+  it('fails with CU03 when no rate is available', async () => {
+    const result = await parsePaymentInstruction({
+      accounts,
+      instruction: 'DEBIT 10 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+    });
+
+    assert.strictEqual(result.status_code, 'CU03');
+    assert.deepStrictEqual(
+      result.accounts.map((acc) => acc.balance),
+      [100, 1000]
+    );
+  });
+
+  it('fails with CU04 when the rate is not positive', async () => {
+    const result = await parsePaymentInstruction({
+      accounts,
+      instruction: 'DEBIT 10 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b AT RATE 0',
+    });
+
+    assert.strictEqual(result.status_code, 'CU04');
+  });
+});
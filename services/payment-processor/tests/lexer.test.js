@@ -0,0 +1,201 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { TOKEN_TYPES, tokenizeInstruction } = require('../lexer');
+
+process.env.RECEIPT_SIGNING_SECRET = 'test-secret';
+const parsePaymentInstruction = require('../parse-instruction');
+
+const accounts = [
+  { id: 'FOREST', balance: 100, currency: 'USD' },
+  { id: 'TOM-1', balance: 0, currency: 'USD' },
+  { id: 'acc.on', balance: 0, currency: 'USD' },
+];
+
+describe('tokenizeInstruction', () => {
+  it('classifies each word and keeps its source offsets', () => {
+    const tokens = tokenizeInstruction('debit 10.50 usd FROM ACCOUNT a-1 ON 2026-12-31');
+
+    assert.deepStrictEqual(
+      tokens.map((token) => [token.type, token.value, token.start, token.end]),
+      [
+        [TOKEN_TYPES.KEYWORD, 'debit', 0, 5],
+        [TOKEN_TYPES.NUMBER, '10.50', 6, 11],
+        [TOKEN_TYPES.CURRENCY, 'usd', 12, 15],
+        [TOKEN_TYPES.KEYWORD, 'FROM', 16, 20],
+        [TOKEN_TYPES.KEYWORD, 'ACCOUNT', 21, 28],
+        [TOKEN_TYPES.IDENTIFIER, 'a-1', 29, 32],
+        [TOKEN_TYPES.KEYWORD, 'ON', 33, 35],
+        [TOKEN_TYPES.DATE, '2026-12-31', 36, 46],
+      ]
+    );
+    assert.strictEqual(tokens[0].upper, 'DEBIT');
+  });
+
+  it('only matches keywords as whole words', () => {
+    const types = tokenizeInstruction('FOREST TOM-1 acc.on').map((token) => token.type);
+
+    assert.deepStrictEqual(types, [
+      TOKEN_TYPES.IDENTIFIER,
+      TOKEN_TYPES.IDENTIFIER,
+      TOKEN_TYPES.IDENTIFIER,
+    ]);
+  });
+
+  it('splits on any run of whitespace', () => {
+    const tokens = tokenizeInstruction('  DEBIT\t10\n USD ');
+
+    assert.deepStrictEqual(
+      tokens.map((token) => token.value),
+      ['DEBIT', '10', 'USD']
+    );
+  });
+});
+
+describe('parsing account IDs that contain keywords', () => {
+  it('does not mistake FOREST, TOM-1 or acc.on for FOR, TO or ON', async () => {
+    const result = await parsePaymentInstruction({
+      accounts,
+      instruction: 'DEBIT 10 USD FROM ACCOUNT FOREST FOR CREDIT TO ACCOUNT TOM-1',
+    });
+
+    assert.strictEqual(result.status_code, 'AP00');
+    assert.strictEqual(result.debit_account, 'FOREST');
+    assert.strictEqual(result.credit_account, 'TOM-1');
+  });
+
+  it('parses the CREDIT grammar with an ID ending in .on', async () => {
+    const result = await parsePaymentInstruction({
+      accounts,
+      instruction: 'CREDIT 10 USD TO ACCOUNT acc.on FOR DEBIT FROM ACCOUNT FOREST',
+    });
+
+    assert.strictEqual(result.status_code, 'AP00');
+    assert.strictEqual(result.credit_account, 'acc.on');
+    assert.deepStrictEqual(
+      result.accounts.map((acc) => [acc.id, acc.balance]),
+      [
+        ['FOREST', 90],
+        ['acc.on', 10],
+      ]
+    );
+  });
+});
+
+describe('parsing account IDs that are keywords', () => {
+  const keywordIds = [
+    'hold',
+    'capture',
+    'release',
+    'in',
+    'at',
+    'rate',
+    'ref',
+    'memo',
+    'every',
+    'until',
+    'reverse',
+    'refund',
+    'of',
+    'for',
+  ];
+  const keywordAccounts = [...keywordIds, 'b'].map((id) => ({ id, balance: 100, currency: 'USD' }));
+
+  keywordIds.forEach((id) => {
+    it(`accepts ${id} as the debit and credit account`, async () => {
+      const debit = await parsePaymentInstruction({
+        accounts: keywordAccounts,
+        instruction: `DEBIT 10 USD FROM ACCOUNT ${id} FOR CREDIT TO ACCOUNT b`,
+      });
+      const credit = await parsePaymentInstruction({
+        accounts: keywordAccounts,
+        instruction: `DEBIT 10 USD FROM ACCOUNT b FOR CREDIT TO ACCOUNT ${id}`,
+      });
+
+      assert.strictEqual(debit.status_code, 'AP00');
+      assert.strictEqual(debit.debit_account, id);
+      assert.strictEqual(credit.status_code, 'AP00');
+      assert.strictEqual(credit.credit_account, id);
+    });
+  });
+
+  it('accepts keywords as account IDs and references in front of trailing clauses', async () => {
+    const result = await parsePaymentInstruction({
+      accounts: keywordAccounts,
+      instruction: 'CREDIT 10 USD TO ACCOUNT at FOR DEBIT FROM ACCOUNT rate REF ref MEMO "paid"',
+    });
+
+    assert.strictEqual(result.status_code, 'AP00');
+    assert.strictEqual(result.credit_account, 'at');
+    assert.strictEqual(result.debit_account, 'rate');
+    assert.strictEqual(result.reference, 'ref');
+  });
+
+  it('reports the value a keyword ID was taken as in explain mode', async () => {
+    const result = await parsePaymentInstruction(
+      {
+        accounts: keywordAccounts,
+        instruction: 'DEBIT 10 USD FROM ACCOUNT hold FOR CREDIT TO ACCOUNT b',
+      },
+      { explain: true }
+    );
+
+    assert.deepStrictEqual(result.explanation.tokens[5], {
+      type: TOKEN_TYPES.IDENTIFIER,
+      value: 'hold',
+      position: 26,
+    });
+  });
+
+  it('still reports a missing account when the next keyword is found in its place', async () => {
+    const result = await parsePaymentInstruction({
+      accounts: keywordAccounts,
+      instruction: 'DEBIT 10 USD FROM ACCOUNT FOR CREDIT TO ACCOUNT b',
+    });
+
+    assert.strictEqual(result.status_code, 'SY03');
+    assert.ok(result.status_reason.includes('expected debit account at position 26, found "FOR"'));
+  });
+});
+
+describe('quoted strings', () => {
+  const plainAccounts = [
+    { id: 'a', balance: 100, currency: 'USD' },
+    { id: 'b', balance: 0, currency: 'USD' },
+  ];
+
+  it('keeps reserved words inside a MEMO as plain text', async () => {
+    const result = await parsePaymentInstruction({
+      accounts: plainAccounts,
+      instruction:
+        'DEBIT 10 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b MEMO "Rent FROM March TO April"',
+    });
+
+    assert.strictEqual(result.status_code, 'AP00');
+    assert.strictEqual(result.memo, 'Rent FROM March TO April');
+  });
+
+  [
+    ['reference', 'DEBIT 10 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b REF "x y"'],
+    ['currency', 'DEBIT 10 "USD" FROM ACCOUNT a FOR CREDIT TO ACCOUNT b'],
+    ['amount', 'DEBIT "10" USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b'],
+    ['debit account', 'DEBIT 10 USD FROM ACCOUNT "a" FOR CREDIT TO ACCOUNT b'],
+    ['credit account', 'DEBIT 10 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT "b"'],
+  ].forEach(([name, instruction]) => {
+    it(`rejects a quoted ${name} with SY03`, async () => {
+      const result = await parsePaymentInstruction({ accounts: plainAccounts, instruction });
+
+      assert.strictEqual(result.status_code, 'SY03');
+      assert.ok(result.status_reason.includes(`expected ${name}`), result.status_reason);
+    });
+  });
+
+  it('does not let a quoted string continue an account ID', async () => {
+    const result = await parsePaymentInstruction({
+      accounts: plainAccounts,
+      instruction: 'DEBIT 10 USD FROM ACCOUNT a "x" FOR CREDIT TO ACCOUNT b',
+    });
+
+    assert.strictEqual(result.status_code, 'SY02');
+    assert.ok(result.status_reason.includes('expected FOR at position 28, found "x"'));
+  });
+});
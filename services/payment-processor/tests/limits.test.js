@@ -0,0 +1,94 @@
+const { describe, it, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'limits-test-'));
+process.env.CURRENCY_REGISTRY_FILE = path.join(storeDir, 'currencies.json');
+process.env.RECEIPT_SIGNING_SECRET = 'test-secret';
+fs.writeFileSync(
+  process.env.CURRENCY_REGISTRY_FILE,
+  JSON.stringify({
+    currencies: [
+      {
+        code: 'NGN',
+        minor_units: 2,
+        symbol: '₦',
+        enabled: true,
+        min_amount: 1,
+        max_amount: 50000000,
+      },
+      { code: 'USD', minor_units: 2, symbol: '$', enabled: true },
+    ],
+  })
+);
+
+const parsePaymentInstruction = require('../parse-instruction');
+
+after(() => fs.rmSync(storeDir, { recursive: true, force: true }));
+
+describe('transaction limits', () => {
+  it('ships the bundled registry without currency limits', () => {
+    const bundled = JSON.parse(
+      fs.readFileSync(path.join(__dirname, '..', '..', 'currencies', 'currencies.json'), 'utf8')
+    );
+
+    bundled.currencies.forEach((currency) => {
+      assert.strictEqual(currency.min_amount, undefined);
+      assert.strictEqual(currency.max_amount, undefined);
+    });
+  });
+
+  it('leaves currencies without limits unbounded', async () => {
+    const result = await parsePaymentInstruction({
+      accounts: [
+        { id: 'a', balance: 20000000000, currency: 'USD' },
+        { id: 'b', balance: 0, currency: 'USD' },
+      ],
+      instruction: 'DEBIT 10000000000 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+    });
+
+    assert.strictEqual(result.status_code, 'AP00');
+  });
+
+  it('rejects a 10-billion NGN debit with LM02 even when the balance covers it', async () => {
+    const result = await parsePaymentInstruction({
+      accounts: [
+        { id: 'a', balance: 20000000000, currency: 'NGN' },
+        { id: 'b', balance: 0, currency: 'NGN' },
+      ],
+      instruction: 'DEBIT 10000000000 NGN FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+    });
+
+    assert.strictEqual(result.status_code, 'LM02');
+    assert.deepStrictEqual(
+      result.accounts.map((acc) => acc.balance),
+      [20000000000, 0]
+    );
+  });
+
+  it('rejects an amount below the currency minimum with LM01', async () => {
+    const result = await parsePaymentInstruction({
+      accounts: [
+        { id: 'a', balance: 100, currency: 'NGN' },
+        { id: 'b', balance: 0, currency: 'NGN' },
+      ],
+      instruction: 'DEBIT 0.50 NGN FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+    });
+
+    assert.strictEqual(result.status_code, 'LM01');
+  });
+
+  it("rejects a debit above the account's max_debit with LM03", async () => {
+    const result = await parsePaymentInstruction({
+      accounts: [
+        { id: 'a', balance: 5000, currency: 'USD', max_debit: 1000 },
+        { id: 'b', balance: 0, currency: 'USD' },
+      ],
+      instruction: 'DEBIT 1000.01 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+    });
+
+    assert.strictEqual(result.status_code, 'LM03');
+  });
+});
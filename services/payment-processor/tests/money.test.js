@@ -0,0 +1,111 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { ERROR_CODE } = require('@app-core/errors');
+const {
+  parseDecimalAmount,
+  toMinorUnits,
+  fitsMinorUnits,
+  balanceToMinorUnits,
+  fromMinorUnits,
+} = require('../money');
+const validateAccountSet = require('../validate-account-set');
+
+process.env.RECEIPT_SIGNING_SECRET = 'test-secret';
+const parsePaymentInstruction = require('../parse-instruction');
+
+describe('decimal amounts', () => {
+  it('converts amounts to integer minor units', () => {
+    assert.strictEqual(toMinorUnits(parseDecimalAmount('10.50'), 2), 1050);
+    assert.strictEqual(toMinorUnits(parseDecimalAmount('10.500'), 2), 1050);
+    assert.strictEqual(toMinorUnits(parseDecimalAmount('7'), 0), 7);
+    assert.strictEqual(toMinorUnits(parseDecimalAmount('10.505'), 2), null);
+  });
+
+  it('rejects amounts that are not positive decimals', () => {
+    ['', '0', '0.00', '-1', '1.', '.5', '1.2.3', '1e3'].forEach((amount) => {
+      assert.strictEqual(parseDecimalAmount(amount), null, amount);
+    });
+  });
+
+  it('debits a decimal amount without floating point drift', async () => {
+    const result = await parsePaymentInstruction({
+      accounts: [
+        { id: 'a', balance: 0.3, currency: 'USD' },
+        { id: 'b', balance: 0.1, currency: 'USD' },
+      ],
+      instruction: 'DEBIT 0.1 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+    });
+
+    assert.strictEqual(result.status_code, 'AP00');
+    assert.strictEqual(result.amount, 0.1);
+    assert.strictEqual(result.amount_minor, 10);
+    assert.deepStrictEqual(
+      result.accounts.map((acc) => acc.balance),
+      [0.2, 0.2]
+    );
+  });
+
+  it('fails with AM02 when the amount has too many decimal places', async () => {
+    const result = await parsePaymentInstruction({
+      accounts: [
+        { id: 'a', balance: 100, currency: 'USD' },
+        { id: 'b', balance: 0, currency: 'USD' },
+      ],
+      instruction: 'DEBIT 10.505 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+    });
+
+    assert.strictEqual(result.status_code, 'AM02');
+  });
+});
+
+describe('balances in minor units', () => {
+  it('converts balances that fit the minor units exactly', () => {
+    assert.strictEqual(balanceToMinorUnits(10.5, 2), 1050);
+    assert.strictEqual(balanceToMinorUnits(-50, 2), -5000);
+    assert.strictEqual(fromMinorUnits(1050, 2), 10.5);
+  });
+
+  it('refuses to round a balance with more decimal places than the currency allows', () => {
+    assert.strictEqual(fitsMinorUnits(10.005, 2), false);
+    assert.strictEqual(fitsMinorUnits(0.995, 2), false);
+    assert.strictEqual(fitsMinorUnits(0.1 + 0.2, 2), false);
+    assert.strictEqual(fitsMinorUnits(10.5, 0), false);
+
+    assert.throws(() => balanceToMinorUnits(10.005, 2), { errorCode: ERROR_CODE.VALIDATIONERR });
+    assert.throws(() => balanceToMinorUnits(0.995, 2), { errorCode: ERROR_CODE.VALIDATIONERR });
+  });
+
+  it('lists every account amount that does not fit as AC12', () => {
+    assert.throws(
+      () =>
+        validateAccountSet([
+          { id: 'a', balance: 10.005, currency: 'USD' },
+          { id: 'b', balance: 1, currency: 'USD', overdraft_limit: 0.995 },
+        ]),
+      (error) => {
+        assert.strictEqual(error.errorCode, ERROR_CODE.VALIDATIONERR);
+        assert.deepStrictEqual(
+          error.details.map((problem) => [problem.status_code, problem.field]),
+          [
+            ['AC12', 'accounts[0].balance'],
+            ['AC12', 'accounts[1].overdraft_limit'],
+          ]
+        );
+        return true;
+      }
+    );
+  });
+
+  it('rejects a debit from a balance of 10.005 USD instead of creating money', async () => {
+    await assert.rejects(
+      parsePaymentInstruction({
+        accounts: [
+          { id: 'a', balance: 10.005, currency: 'USD' },
+          { id: 'b', balance: 0, currency: 'USD' },
+        ],
+        instruction: 'DEBIT 1 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+      }),
+      { errorCode: ERROR_CODE.VALIDATIONERR }
+    );
+  });
+});
@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+
+process.env.RECEIPT_SIGNING_SECRET = 'test-secret';
+const parsePaymentInstruction = require('../parse-instruction');
+
+const accounts = [
+  { id: 'a', balance: 10, currency: 'USD', overdraft_limit: 50 },
+  { id: 'b', balance: 0, currency: 'USD' },
+];
+
+const debit = (amount) =>
+  parsePaymentInstruction({
+    accounts,
+    instruction: `DEBIT ${amount} USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b`,
+  });
+
+describe('overdrafts', () => {
+  it('lets an account go negative by up to its overdraft_limit', async () => {
+    const result = await debit(60);
+
+    assert.strictEqual(result.status_code, 'AP00');
+    assert.deepStrictEqual(result.accounts[0], {
+      id: 'a',
+      balance: -50,
+      balance_before: 10,
+      held: 0,
+      available_before: 60,
+      available_after: 0,
+      currency: 'USD',
+    });
+    assert.strictEqual(result.accounts[1].available_after, 60);
+  });
+
+  it('fails with AC01 beyond the overdraft_limit', async () => {
+    const result = await debit(60.01);
+
+    assert.strictEqual(result.status_code, 'AC01');
+    assert.strictEqual(result.accounts[0].balance, 10);
+  });
+
+  it('takes held funds off the available balance', async () => {
+    const result = await parsePaymentInstruction({
+      accounts: [{ ...accounts[0], held: 20 }, accounts[1]],
+      instruction: 'DEBIT 40.01 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+    });
+
+    assert.strictEqual(result.status_code, 'AC01');
+    assert.strictEqual(result.accounts[0].available_before, 40);
+  });
+});
@@ -0,0 +1,101 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { resolveRecurrence } = require('../recurrence');
+
+process.env.RECEIPT_SIGNING_SECRET = 'test-secret';
+const parsePaymentInstruction = require('../parse-instruction');
+
+// Monday 2026-10-19, 12:00 UTC
+const NOW = Date.UTC(2026, 9, 19, 12, 0);
+
+const every = (value, { anchor = null, until = null, count = null } = {}) =>
+  resolveRecurrence({ value, anchor, until, count }, NOW);
+
+describe('resolveRecurrence', () => {
+  it('moves a monthly day past the end of a short month to its last day', () => {
+    const resolved = every('MONTH', { anchor: 'DAY 31', until: '2027-03-01' });
+
+    assert.strictEqual(resolved.executeBy, '2026-10-31T00:00:00.000Z');
+    assert.strictEqual(resolved.isDue, false);
+    assert.deepStrictEqual(resolved.recurrence, {
+      frequency: 'monthly',
+      interval: 1,
+      day_of_month: 31,
+      weekday: null,
+      until: '2027-03-01',
+      count: null,
+      execution_dates: [
+        '2026-10-31T00:00:00.000Z',
+        '2026-11-30T00:00:00.000Z',
+        '2026-12-31T00:00:00.000Z',
+        '2027-01-31T00:00:00.000Z',
+        '2027-02-28T00:00:00.000Z',
+      ],
+    });
+  });
+
+  it('repeats weekly orders on the anchored weekday at the given interval', () => {
+    const { recurrence } = every('2 WEEKS', { anchor: 'FRIDAY', count: '3 TIMES' });
+
+    assert.strictEqual(recurrence.weekday, 'FRIDAY');
+    assert.deepStrictEqual(recurrence.execution_dates, [
+      '2026-10-23T00:00:00.000Z',
+      '2026-11-06T00:00:00.000Z',
+      '2026-11-20T00:00:00.000Z',
+    ]);
+  });
+
+  it('starts today, and is due, when today matches', () => {
+    const resolved = every('DAY', { count: '3 TIMES' });
+
+    assert.strictEqual(resolved.isDue, true);
+    assert.strictEqual(resolved.recurrence.execution_dates[0], '2026-10-19T00:00:00.000Z');
+    assert.strictEqual(resolved.recurrence.execution_dates.length, 3);
+  });
+
+  it('rejects invalid rules with DT04 and a past end date with DT02', () => {
+    assert.deepStrictEqual(every('WEEK', { anchor: 'DAY 3', count: '2 TIMES' }), {
+      statusCode: 'DT04',
+      detail: 'ON DAY 3 does not fit a weekly order',
+    });
+    assert.strictEqual(every('YEAR', { count: '2 TIMES' }).statusCode, 'DT04');
+    assert.strictEqual(every('DAY', { count: '0 TIMES' }).statusCode, 'DT04');
+    assert.deepStrictEqual(every('DAY', { count: '400 TIMES' }), {
+      statusCode: 'DT04',
+      detail: 'more than 366 execution dates',
+    });
+    assert.deepStrictEqual(every('DAY', { until: '2026-10-01' }), { statusCode: 'DT02' });
+  });
+});
+
+describe('standing orders', () => {
+  it('parses an EVERY clause and reports the recurrence', async () => {
+    const result = await parsePaymentInstruction({
+      accounts: [
+        { id: 'a', balance: 10000, currency: 'NGN' },
+        { id: 'b', balance: 0, currency: 'NGN' },
+      ],
+      instruction:
+        'DEBIT 500 NGN FROM ACCOUNT a FOR CREDIT TO ACCOUNT b EVERY 2 WEEKS ON FRIDAY FOR 12 TIMES',
+    });
+
+    assert.strictEqual(result.recurrence.frequency, 'weekly');
+    assert.strictEqual(result.recurrence.interval, 2);
+    assert.strictEqual(result.recurrence.count, 12);
+    assert.strictEqual(result.recurrence.execution_dates.length, 12);
+    assert.strictEqual(result.execute_by, result.recurrence.execution_dates[0]);
+  });
+
+  it('requires an end to the order', async () => {
+    const result = await parsePaymentInstruction({
+      accounts: [
+        { id: 'a', balance: 10000, currency: 'NGN' },
+        { id: 'b', balance: 0, currency: 'NGN' },
+      ],
+      instruction: 'DEBIT 500 NGN FROM ACCOUNT a FOR CREDIT TO ACCOUNT b EVERY MONTH',
+    });
+
+    assert.strictEqual(result.status_code, 'SY01');
+    assert.strictEqual(result.diagnostic.expected, 'UNTIL or FOR');
+  });
+});
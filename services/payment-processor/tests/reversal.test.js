@@ -0,0 +1,97 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { useTempStores } = require('../../../test-helpers/temp-stores');
+
+useTempStores('reversal');
+
+const createAccount = require('../../accounts/create-account');
+const getAccount = require('../../accounts/get-account');
+const getTransaction = require('../../transactions/get-transaction');
+const parsePaymentInstruction = require('../parse-instruction');
+
+const balances = async (...ids) =>
+  Promise.all(ids.map(async (id) => (await getAccount({ id })).balance));
+
+describe('reversals and refunds', () => {
+  it('refunds part of a transfer, then reverses the rest', async () => {
+    await createAccount({ id: 'r1', balance: 100, currency: 'USD' });
+    await createAccount({ id: 'r2', balance: 0, currency: 'USD' });
+    const original = await parsePaymentInstruction({
+      instruction: 'DEBIT 30 USD FROM ACCOUNT r1 FOR CREDIT TO ACCOUNT r2',
+    });
+    const reference = original.transaction_reference;
+
+    const refund = await parsePaymentInstruction({
+      instruction: `REFUND 10 USD OF ${reference} MEMO "Damaged item"`,
+    });
+    assert.strictEqual(refund.status_code, 'AP00');
+    assert.deepStrictEqual(
+      [refund.type, refund.debit_account, refund.credit_account, refund.memo],
+      ['REFUND', 'r2', 'r1', 'Damaged item']
+    );
+    assert.deepStrictEqual(refund.reversal, {
+      original_transaction_reference: reference,
+      remaining_amount: 20,
+      remaining_amount_minor: 2000,
+    });
+
+    const reverse = await parsePaymentInstruction({
+      instruction: `REVERSE ${reference.toLowerCase()}`,
+    });
+    assert.strictEqual(reverse.status_code, 'AP00');
+    assert.strictEqual(reverse.amount, 20);
+    assert.strictEqual(reverse.reversal.remaining_amount_minor, 0);
+    assert.deepStrictEqual(await balances('r1', 'r2'), [100, 0]);
+
+    const transaction = await getTransaction({ id: reference });
+    assert.strictEqual(transaction.reversed_amount_minor, 3000);
+    assert.deepStrictEqual(transaction.reversals, [
+      refund.transaction_reference,
+      reverse.transaction_reference,
+    ]);
+    assert.strictEqual(
+      (await getTransaction({ id: refund.transaction_reference })).reverses,
+      reference
+    );
+  });
+
+  it('rejects a refund of a fully reversed transfer with RV02', async () => {
+    await createAccount({ id: 'r3', balance: 100, currency: 'USD' });
+    await createAccount({ id: 'r4', balance: 0, currency: 'USD' });
+    const original = await parsePaymentInstruction({
+      instruction: 'DEBIT 15 USD FROM ACCOUNT r3 FOR CREDIT TO ACCOUNT r4',
+    });
+    await parsePaymentInstruction({ instruction: `REVERSE ${original.transaction_reference}` });
+
+    const refund = await parsePaymentInstruction({
+      instruction: `REFUND 1 USD OF ${original.transaction_reference}`,
+    });
+
+    assert.strictEqual(refund.status_code, 'RV02');
+    assert.deepStrictEqual(await balances('r3', 'r4'), [100, 0]);
+  });
+
+  it('rejects a reference that names no transfer with RV01', async () => {
+    const result = await parsePaymentInstruction({ instruction: 'REVERSE TX0UNKNOWN' });
+
+    assert.strictEqual(result.status_code, 'RV01');
+  });
+
+  it('still needs the funds on the account being debited', async () => {
+    await createAccount({ id: 'r5', balance: 100, currency: 'USD' });
+    await createAccount({ id: 'r6', balance: 0, currency: 'USD' });
+    await createAccount({ id: 'r7', balance: 0, currency: 'USD' });
+    const original = await parsePaymentInstruction({
+      instruction: 'DEBIT 40 USD FROM ACCOUNT r5 FOR CREDIT TO ACCOUNT r6',
+    });
+    await parsePaymentInstruction({
+      instruction: 'DEBIT 40 USD FROM ACCOUNT r6 FOR CREDIT TO ACCOUNT r7',
+    });
+
+    const reverse = await parsePaymentInstruction({
+      instruction: `REVERSE ${original.transaction_reference}`,
+    });
+
+    assert.strictEqual(reverse.status_code, 'AC01');
+  });
+});
@@ -0,0 +1,106 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('assert');
+const { ERROR_CODE } = require('@app-core/errors');
+const { registerRule, removeRule, moveRule, listRules, resetRules } = require('../rule-pipeline');
+
+process.env.RECEIPT_SIGNING_SECRET = 'test-secret';
+const parsePaymentInstruction = require('../parse-instruction');
+
+const accounts = [
+  { id: 'a', balance: 100, currency: 'USD' },
+  { id: 'dormant', balance: 0, currency: 'USD' },
+];
+const instruction = 'DEBIT 30 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT dormant';
+
+const noDormantCredit = {
+  id: 'no_dormant_credit',
+  description: 'Credit account is not dormant',
+  statusCode: 'AC99',
+  message: 'Credit account is dormant',
+  field: 'credit_account',
+  requires: ['amountMinor'],
+  appliesTo: (ctx) => ctx.splitLegs === null,
+  evaluate: (ctx) => ctx.creditAccount !== 'dormant',
+};
+
+const ruleIds = () => listRules().map((rule) => rule.id);
+
+afterEach(() => resetRules());
+
+describe('rule pipeline', () => {
+  it('runs a registered rule at its position', async () => {
+    registerRule(noDormantCredit, { before: 'sufficient_funds' });
+
+    const ids = ruleIds();
+    assert.strictEqual(ids.indexOf('no_dormant_credit') + 1, ids.indexOf('sufficient_funds'));
+
+    const result = await parsePaymentInstruction(
+      { accounts, instruction },
+      { collectViolations: true }
+    );
+    assert.strictEqual(result.status_code, 'AC99');
+    assert.deepStrictEqual(result.violations, [
+      { status_code: 'AC99', status_reason: 'Credit account is dormant', field: 'credit_account' },
+    ]);
+  });
+
+  it('runs a rule without a position last', () => {
+    registerRule(noDormantCredit);
+
+    assert.strictEqual(ruleIds().pop(), 'no_dormant_credit');
+  });
+
+  it('lets a rule report its own violations', async () => {
+    registerRule({
+      ...noDormantCredit,
+      evaluate: () => [{ statusReason: 'Credit account dormant since 2020' }],
+    });
+
+    const result = await parsePaymentInstruction({ accounts, instruction });
+    assert.strictEqual(result.status_code, 'AC99');
+    assert.strictEqual(result.status_reason, 'Credit account dormant since 2020');
+  });
+
+  it('moves and removes rules, and resets to the built-in order', () => {
+    const builtIn = ruleIds();
+
+    moveRule('distinct_accounts', { after: 'amount_format' });
+    assert.strictEqual(ruleIds()[ruleIds().indexOf('amount_format') + 1], 'distinct_accounts');
+
+    removeRule('debit_limit');
+    assert.ok(!ruleIds().includes('debit_limit'));
+
+    resetRules();
+    assert.deepStrictEqual(ruleIds(), builtIn);
+  });
+
+  it('rejects duplicate IDs and unknown rules', () => {
+    assert.throws(() => registerRule({ ...noDormantCredit, id: 'sufficient_funds' }), {
+      errorCode: ERROR_CODE.DUPLRCRD,
+    });
+    assert.throws(() => registerRule(noDormantCredit, { before: 'missing' }), {
+      errorCode: ERROR_CODE.NOTFOUND,
+    });
+    assert.throws(() => removeRule('missing'), { errorCode: ERROR_CODE.NOTFOUND });
+  });
+});
+
+describe('rule context', () => {
+  const failAmount = async (amount) => {
+    const result = await parsePaymentInstruction({
+      accounts,
+      instruction: `DEBIT ${amount} USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT dormant`,
+    });
+    return [result.status_code, result.amount];
+  };
+
+  it('reports no amount until the amount_format rule has passed', async () => {
+    assert.deepStrictEqual(await failAmount('1e3'), ['AM01', null]);
+    assert.deepStrictEqual(await failAmount('-5'), ['AM01', null]);
+  });
+
+  it('reports the parsed decimal amount once amount_format has passed', async () => {
+    assert.deepStrictEqual(await failAmount('10.999'), ['AM02', 10.999]);
+    assert.deepStrictEqual(await failAmount('150.5'), ['AC01', 150.5]);
+  });
+});
@@ -0,0 +1,62 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+
+process.env.RECEIPT_SIGNING_SECRET = 'test-secret';
+const parsePaymentInstruction = require('../parse-instruction');
+
+const accounts = [
+  { id: 'a', balance: 10, currency: 'USD' },
+  { id: 'b', balance: 0, currency: 'USD' },
+];
+
+describe('reporting every violation', () => {
+  it('keeps checking after the first failure and reports each violation', async () => {
+    const result = await parsePaymentInstruction(
+      { accounts, instruction: 'DEBIT 30 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT zz' },
+      { collectViolations: true }
+    );
+
+    assert.strictEqual(result.status_code, 'AC03');
+    assert.strictEqual(result.status_reason, 'Account not found: zz');
+    assert.deepStrictEqual(result.violations, [
+      { status_code: 'AC03', status_reason: 'Account not found: zz', field: 'credit_account' },
+      {
+        status_code: 'AC01',
+        status_reason: 'Insufficient funds in debit account: has 10 USD, needs 30 USD',
+        field: 'debit_account',
+      },
+    ]);
+  });
+
+  it('skips checks that depend on a value that already failed', async () => {
+    const result = await parsePaymentInstruction(
+      { accounts, instruction: 'DEBIT 30.005 EUR FROM ACCOUNT a FOR CREDIT TO ACCOUNT b' },
+      { collectViolations: true }
+    );
+
+    assert.deepStrictEqual(
+      result.violations.map((violation) => [violation.status_code, violation.field]),
+      [
+        ['CU02', 'currency'],
+        ['CU01', 'debit_account'],
+      ]
+    );
+  });
+
+  it('reports an empty list for a passing instruction and nothing without the flag', async () => {
+    const instruction = 'DEBIT 5 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b';
+
+    const collected = await parsePaymentInstruction(
+      { accounts, instruction },
+      { collectViolations: true }
+    );
+    const plain = await parsePaymentInstruction({
+      accounts,
+      instruction: `${instruction} ON 2020-01-01`,
+    });
+
+    assert.deepStrictEqual(collected.violations, []);
+    assert.strictEqual(plain.status_code, 'DT02');
+    assert.strictEqual(plain.violations, undefined);
+  });
+});
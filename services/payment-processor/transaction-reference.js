@@ -0,0 +1,54 @@
+const { randomInt } = require('crypto');
+
+const REFERENCE_PREFIX = 'TX';
+const BASE36_DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// Widths of each part, so references compare correctly as plain strings
+const TIMESTAMP_WIDTH = 9; // Milliseconds since the epoch, good until the year 5188
+const SEQUENCE_WIDTH = 3; // Up to 46,656 references per millisecond
+const RANDOM_WIDTH = 6;
+
+const MAX_SEQUENCE = 36 ** SEQUENCE_WIDTH - 1;
+
+let lastTime = 0;
+let sequence = 0;
+
+function toBase36(value, width) {
+  return value.toString(36).toUpperCase().padStart(width, '0');
+}
+
+function randomSuffix() {
+  let suffix = '';
+  for (let i = 0; i < RANDOM_WIDTH; i += 1) {
+    suffix += BASE36_DIGITS[randomInt(BASE36_DIGITS.length)];
+  }
+  return suffix;
+}
+
+/**
+ * Creates a unique transaction reference, e.g. TX0MVEISPO9000TX8I28.
+ * References sort lexicographically in the order they were created within this process:
+ * the time part never goes backwards, even if the system clock does, and references created
+ * in the same millisecond carry an increasing sequence number.
+ * @returns {string}
+ */
+function createTransactionReference() {
+  const now = Date.now();
+  if (now > lastTime) {
+    lastTime = now;
+    sequence = 0;
+  } else if (sequence < MAX_SEQUENCE) {
+    sequence += 1;
+  } else {
+    // Sequence exhausted: borrow the next millisecond rather than repeat an ordering
+    lastTime += 1;
+    sequence = 0;
+  }
+
+  return `${REFERENCE_PREFIX}${toBase36(lastTime, TIMESTAMP_WIDTH)}${toBase36(
+    sequence,
+    SEQUENCE_WIDTH
+  )}${randomSuffix()}`;
+}
+
+module.exports = createTransactionReference;
@@ -0,0 +1,86 @@
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { PaymentMessages } = require('@app/messages');
+const { STATUS_CODES } = require('./constants');
+const { listInexactAmountFields } = require('./helpers');
+const { isSupportedCurrency } = require('../currencies/currency-registry');
+
+/**
+ * Checks the accounts supplied with a request before any instruction runs against them:
+ * IDs must be unique, even ignoring letter case, balances must be finite and only negative
+ * within the account's overdraft_limit, held amounts must not be negative, amounts must fit the
+ * currency's minor units, and currencies must be supported.
+ * Throws a validation error listing every problem as `{status_code, status_reason, field}`.
+ * @param {Array<{id: string, balance: number, currency: string, overdraft_limit?: number,
+ * held?: number}>} accounts
+ */
+function validateAccountSet(accounts) {
+  const problems = [];
+  const addProblem = (statusCode, statusReason, field) => {
+    problems.push({ status_code: statusCode, status_reason: statusReason, field });
+  };
+
+  accounts.forEach((acc, index) => {
+    const firstIndex = accounts.findIndex((other) => other.id === acc.id);
+    const firstCaseInsensitiveIndex = accounts.findIndex(
+      (other) => other.id.toLowerCase() === acc.id.toLowerCase()
+    );
+
+    if (firstIndex !== index) {
+      addProblem(
+        STATUS_CODES.AC08,
+        `${PaymentMessages.DUPLICATE_ACCOUNT_ID}: ${acc.id}`,
+        `accounts[${index}].id`
+      );
+    } else if (firstCaseInsensitiveIndex !== index) {
+      addProblem(
+        STATUS_CODES.AC09,
+        `${PaymentMessages.ACCOUNT_ID_CASE_COLLISION}: ${accounts[firstCaseInsensitiveIndex].id} and ${acc.id}`,
+        `accounts[${index}].id`
+      );
+    }
+
+    const overdraftLimit = acc.overdraft_limit || 0;
+    if (!Number.isFinite(acc.balance) || acc.balance < -overdraftLimit) {
+      addProblem(
+        STATUS_CODES.AC10,
+        `${PaymentMessages.INVALID_ACCOUNT_BALANCE}: ${acc.id} has ${acc.balance}`,
+        `accounts[${index}].balance`
+      );
+    }
+
+    if (acc.held !== undefined && !(Number.isFinite(acc.held) && acc.held >= 0)) {
+      addProblem(
+        STATUS_CODES.AC11,
+        `${PaymentMessages.INVALID_HELD_AMOUNT}: ${acc.id} has ${acc.held}`,
+        `accounts[${index}].held`
+      );
+    }
+
+    // Amounts are never rounded to the currency's minor units
+    listInexactAmountFields(acc).forEach((field) => {
+      addProblem(
+        STATUS_CODES.AC12,
+        `${PaymentMessages.INEXACT_ACCOUNT_AMOUNT}: ${acc.id} has ${field} ${acc[field]} ${acc.currency.toUpperCase()}`,
+        `accounts[${index}].${field}`
+      );
+    });
+
+    if (!isSupportedCurrency(acc.currency)) {
+      addProblem(
+        STATUS_CODES.CU05,
+        `${PaymentMessages.UNSUPPORTED_ACCOUNT_CURRENCY}: ${acc.id} holds ${acc.currency}`,
+        `accounts[${index}].currency`
+      );
+    }
+  });
+
+  if (problems.length > 0) {
+    throwAppError(
+      `${PaymentMessages.INVALID_ACCOUNT_SET}: ${problems[0].status_reason}`,
+      ERROR_CODE.VALIDATIONERR,
+      { details: problems }
+    );
+  }
+}
+
+module.exports = validateAccountSet;
@@ -0,0 +1,5 @@
+// Algorithm reported on receipts, and the hash used to compute it
+const RECEIPT_ALGORITHM = 'HMAC-SHA256';
+const RECEIPT_HASH_ALGO = 'sha256';
+
+module.exports = { RECEIPT_ALGORITHM, RECEIPT_HASH_ALGO };
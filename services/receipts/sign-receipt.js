@@ -0,0 +1,32 @@
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const hash = require('@app-core/security/hash');
+const { ReceiptMessages } = require('@app/messages');
+const { canonicalJson } = require('../payment-processor/helpers');
+const { RECEIPT_ALGORITHM, RECEIPT_HASH_ALGO } = require('./constants');
+
+// Read once at startup; a missing secret stops the app from starting, since receipts signed
+// with a stand-in secret would stop verifying after a restart
+const signingSecret = process.env.RECEIPT_SIGNING_SECRET;
+if (!signingSecret) {
+  throwAppError(ReceiptMessages.SIGNING_SECRET_MISSING, ERROR_CODE.APPERR);
+}
+
+/**
+ * Signs a processed instruction response.
+ * The signature is an HMAC over the canonical JSON of every field except `receipt` itself,
+ * so a result that is forwarded back unchanged (in any key order) still verifies.
+ * @param {object} result - Instruction response
+ * @returns {{algorithm: string, signature: string}}
+ */
+function signReceipt(result) {
+  const { receipt, ...signedFields } = result;
+  return {
+    algorithm: RECEIPT_ALGORITHM,
+    signature: hash.create(canonicalJson(signedFields), {
+      algo: RECEIPT_HASH_ALGO,
+      secret: signingSecret,
+    }),
+  };
+}
+
+module.exports = signReceipt;
@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+process.env.RECEIPT_SIGNING_SECRET = 'test-secret';
+const parsePaymentInstruction = require('../../payment-processor/parse-instruction');
+const verifyReceipt = require('../verify-receipt');
+
+const accounts = [
+  { id: 'a', balance: 100, currency: 'USD' },
+  { id: 'b', balance: 0, currency: 'USD' },
+];
+
+describe('receipts', () => {
+  it('verifies a receipt forwarded back unchanged, in any key order', async () => {
+    const result = await parsePaymentInstruction({
+      accounts,
+      instruction: 'DEBIT 30 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+    });
+    const reordered = Object.fromEntries(Object.entries(result).reverse());
+
+    assert.deepStrictEqual(verifyReceipt(reordered), {
+      transaction_reference: result.transaction_reference,
+      valid: true,
+    });
+  });
+
+  it('rejects a receipt whose fields were changed', async () => {
+    const result = await parsePaymentInstruction({
+      accounts,
+      instruction: 'DEBIT 30 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+    });
+
+    assert.strictEqual(verifyReceipt({ ...result, amount: 3000 }).valid, false);
+  });
+
+  it('refuses to load without RECEIPT_SIGNING_SECRET', () => {
+    const env = { ...process.env };
+    delete env.RECEIPT_SIGNING_SECRET;
+
+    const child = spawnSync(
+      process.execPath,
+      ['-e', `require(${JSON.stringify(path.join(__dirname, '..', 'sign-receipt'))})`],
+      { env, encoding: 'utf8' }
+    );
+
+    assert.notStrictEqual(child.status, 0);
+    assert.ok(child.stderr.includes('RECEIPT_SIGNING_SECRET must be set'), child.stderr);
+  });
+});
@@ -0,0 +1,44 @@
+const { timingSafeEqual } = require('crypto');
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const { RECEIPT_ALGORITHM } = require('./constants');
+const signReceipt = require('./sign-receipt');
+
+// Only the receipt fields are checked here; the signature covers the whole result
+const spec = `root {
+  transaction_reference string
+  receipt {
+    algorithm string
+    signature string
+  }
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Checks that a forwarded instruction response carries a receipt we issued and that none of
+ * its fields were changed since.
+ * @param {object} serviceData - Instruction response as returned by POST /payment-instructions
+ * @returns {{transaction_reference: string, valid: boolean}}
+ */
+function verifyReceipt(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  // The validator drops fields missing from the spec, so sign the result as it was sent
+  const expected = Buffer.from(signReceipt(serviceData).signature);
+  const received = Buffer.from(data.receipt.signature);
+
+  const valid =
+    data.receipt.algorithm === RECEIPT_ALGORITHM &&
+    expected.length === received.length &&
+    timingSafeEqual(expected, received);
+
+  appLogger.info(
+    { transactionReference: data.transaction_reference, valid },
+    'payment-receipt-verified'
+  );
+
+  return { transaction_reference: data.transaction_reference, valid };
+}
+
+module.exports = verifyReceipt;
@@ -0,0 +1,43 @@
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { appLogger } = require('@app-core/logger');
+const { SchedulerMessages } = require('@app/messages');
+const { SCHEDULE_STATUSES } = require('./constants');
+const { scheduledInstructionRepository } = require('./scheduled-instruction-repository');
+
+const spec = `root {
+  id string
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+async function cancelScheduledInstruction(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  return scheduledInstructionRepository.runExclusive(async () => {
+    const record = await scheduledInstructionRepository.get(data.id);
+    if (!record) {
+      throwAppError(
+        `${SchedulerMessages.SCHEDULED_INSTRUCTION_NOT_FOUND}: ${data.id}`,
+        ERROR_CODE.NOTFOUND
+      );
+    }
+
+    if (record.status !== SCHEDULE_STATUSES.SCHEDULED) {
+      throwAppError(
+        `${SchedulerMessages.NOT_CANCELLABLE}: ${data.id} is ${record.status}`,
+        ERROR_CODE.VALIDATIONERR
+      );
+    }
+
+    const [cancelled] = await scheduledInstructionRepository.updateMany([
+      { id: data.id, status: SCHEDULE_STATUSES.CANCELLED },
+    ]);
+
+    appLogger.info({ id: data.id }, 'scheduled-instruction-cancelled');
+
+    return cancelled;
+  });
+}
+
+module.exports = cancelScheduledInstruction;
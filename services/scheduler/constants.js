@@ -0,0 +1,14 @@
+/**
+ * Lifecycle of a scheduled instruction
+ * @readonly
+ * @enum {string}
+ */
+const SCHEDULE_STATUSES = {
+  SCHEDULED: 'scheduled', // Waiting for its execute_by date
+  EXECUTING: 'executing', // Picked up by the scheduler
+  EXECUTED: 'executed', // Ran and the transfer succeeded
+  FAILED: 'failed', // Ran but the transfer was rejected (e.g. insufficient funds), or errored
+  CANCELLED: 'cancelled',
+};
+
+module.exports = { SCHEDULE_STATUSES };
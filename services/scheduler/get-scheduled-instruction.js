@@ -0,0 +1,26 @@
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { SchedulerMessages } = require('@app/messages');
+const { scheduledInstructionRepository } = require('./scheduled-instruction-repository');
+
+const spec = `root {
+  id string
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+async function getScheduledInstruction(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  const record = await scheduledInstructionRepository.get(data.id);
+  if (!record) {
+    throwAppError(
+      `${SchedulerMessages.SCHEDULED_INSTRUCTION_NOT_FOUND}: ${data.id}`,
+      ERROR_CODE.NOTFOUND
+    );
+  }
+
+  return record;
+}
+
+module.exports = getScheduledInstruction;
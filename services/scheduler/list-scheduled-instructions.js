@@ -0,0 +1,18 @@
+const validator = require('@app-core/validator');
+const { scheduledInstructionRepository } = require('./scheduled-instruction-repository');
+
+const spec = `root {
+  status? string(scheduled|executing|executed|failed|cancelled)
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+async function listScheduledInstructions(serviceData = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  const records = await scheduledInstructionRepository.list();
+
+  return data.status ? records.filter((record) => record.status === data.status) : records;
+}
+
+module.exports = listScheduledInstructions;
@@ -0,0 +1,71 @@
+const { appLogger } = require('@app-core/logger');
+const parsePaymentInstruction = require('../payment-processor/parse-instruction');
+const { SCHEDULE_STATUSES } = require('./constants');
+const { scheduledInstructionRepository } = require('./scheduled-instruction-repository');
+
+/**
+ * Executes every scheduled instruction whose execute_by time has arrived.
+ * Instructions run against the account store, so balances are checked afresh at execution time.
+ * An instruction that throws is marked failed with the error message, and the rest still run.
+ * @returns {Promise<Object[]>} - The scheduled instruction records that were run
+ */
+async function runDueInstructions() {
+  // Claim due records first so a concurrent run (or a cancel) can't pick them up again
+  const dueRecords = await scheduledInstructionRepository.runExclusive(async () => {
+    const records = await scheduledInstructionRepository.list();
+    const due = records.filter(
+      (record) =>
+        record.status === SCHEDULE_STATUSES.SCHEDULED && Date.parse(record.execute_by) <= Date.now()
+    );
+
+    if (due.length === 0) return [];
+
+    return scheduledInstructionRepository.updateMany(
+      due.map((record) => ({ id: record.id, status: SCHEDULE_STATUSES.EXECUTING }))
+    );
+  });
+
+  const executedRecords = [];
+  for (let i = 0; i < dueRecords.length; i += 1) {
+    const record = dueRecords[i];
+
+    let outcome;
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const result = await parsePaymentInstruction(
+        { instruction: record.instruction, fx_rates: record.fx_rates },
+        { scheduledExecuteBy: record.execute_by }
+      );
+      outcome = {
+        status:
+          result.status === 'successful' ? SCHEDULE_STATUSES.EXECUTED : SCHEDULE_STATUSES.FAILED,
+        result,
+      };
+    } catch (error) {
+      // The record is already claimed, so leaving it as executing would strand it for good
+      appLogger.errorX(error, 'scheduled-instruction-error');
+      outcome = { status: SCHEDULE_STATUSES.FAILED, error: error.message };
+    }
+
+    // eslint-disable-next-line no-await-in-loop
+    const [executedRecord] = await scheduledInstructionRepository.runExclusive(() =>
+      scheduledInstructionRepository.updateMany([
+        { id: record.id, executed_at: new Date().toISOString(), ...outcome },
+      ])
+    );
+
+    appLogger.info(
+      {
+        id: record.id,
+        status: executedRecord.status,
+        statusCode: outcome.result ? outcome.result.status_code : null,
+      },
+      'scheduled-instruction-executed'
+    );
+    executedRecords.push(executedRecord);
+  }
+
+  return executedRecords;
+}
+
+module.exports = runDueInstructions;
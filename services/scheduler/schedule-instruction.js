@@ -0,0 +1,30 @@
+const { randomBytes } = require('crypto');
+const { appLogger } = require('@app-core/logger');
+const { SCHEDULE_STATUSES } = require('./constants');
+const { scheduledInstructionRepository } = require('./scheduled-instruction-repository');
+
+/**
+ * Stores a pending instruction so the scheduler can execute it on its execute_by date
+ * @param {{instruction: string, execute_by: string, fx_rates?: Array<Object>}} serviceData
+ * @returns {Promise<Object>} - The scheduled instruction record
+ */
+async function scheduleInstruction(serviceData) {
+  const record = await scheduledInstructionRepository.runExclusive(() =>
+    scheduledInstructionRepository.create({
+      id: `sch_${randomBytes(8).toString('hex')}`,
+      instruction: serviceData.instruction,
+      fx_rates: serviceData.fx_rates,
+      execute_by: serviceData.execute_by,
+      status: SCHEDULE_STATUSES.SCHEDULED,
+      executed_at: null,
+      result: null,
+      error: null,
+    })
+  );
+
+  appLogger.info({ id: record.id, executeBy: record.execute_by }, 'instruction-scheduled');
+
+  return record;
+}
+
+module.exports = scheduleInstruction;
@@ -0,0 +1,10 @@
+const path = require('path');
+const createFileRepository = require('../storage/file-repository');
+
+const scheduledInstructionRepository = createFileRepository({
+  filePath:
+    process.env.SCHEDULE_STORE_FILE ||
+    path.join(process.cwd(), 'account-data', 'scheduled-instructions.json'),
+});
+
+module.exports = { scheduledInstructionRepository };
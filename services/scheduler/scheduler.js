@@ -0,0 +1,45 @@
+const { appLogger } = require('@app-core/logger');
+const runDueInstructions = require('./run-due-instructions');
+const expireHolds = require('../holds/expire-holds');
+
+let timer = null;
+let isRunning = false;
+
+async function tick() {
+  // Skip this tick if the previous run is still going
+  if (isRunning) return;
+
+  isRunning = true;
+  try {
+    await expireHolds();
+    await runDueInstructions();
+  } catch (error) {
+    appLogger.errorX(error, 'scheduler-run-error');
+  } finally {
+    isRunning = false;
+  }
+}
+
+/**
+ * Start the in-process scheduler. Lapsed holds are expired and due instructions are run once
+ * immediately (to catch up after downtime) and then every `intervalMs` milliseconds.
+ * @param {{intervalMs: number}} options
+ */
+function startScheduler({ intervalMs }) {
+  if (timer) return;
+
+  tick();
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+
+  appLogger.info({ intervalMs }, 'scheduler-started');
+}
+
+function stopScheduler() {
+  if (!timer) return;
+
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { startScheduler, stopScheduler };
@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { useTempStores } = require('../../../test-helpers/temp-stores');
+
+useTempStores('scheduler');
+
+const createAccount = require('../../accounts/create-account');
+const getAccount = require('../../accounts/get-account');
+const scheduleInstruction = require('../schedule-instruction');
+const getScheduledInstruction = require('../get-scheduled-instruction');
+const runDueInstructions = require('../run-due-instructions');
+const { SCHEDULE_STATUSES } = require('../constants');
+
+describe('runDueInstructions', () => {
+  it('executes due instructions with a fresh balance check', async () => {
+    await createAccount({ id: 'a', balance: 100, currency: 'USD' });
+    await createAccount({ id: 'b', balance: 0, currency: 'USD' });
+    const past = new Date(Date.now() - 1000).toISOString();
+
+    const paid = await scheduleInstruction({
+      instruction: 'DEBIT 60 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+      execute_by: past,
+    });
+    const short = await scheduleInstruction({
+      instruction: 'DEBIT 60.01 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+      execute_by: past,
+    });
+    const future = await scheduleInstruction({
+      instruction: 'DEBIT 1 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+      execute_by: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+    });
+
+    const executed = await runDueInstructions();
+
+    assert.deepStrictEqual(
+      executed.map((record) => [record.id, record.status]),
+      [
+        [paid.id, SCHEDULE_STATUSES.EXECUTED],
+        [short.id, SCHEDULE_STATUSES.FAILED],
+      ]
+    );
+    assert.strictEqual(executed[1].result.status_code, 'AC01');
+    assert.strictEqual((await getAccount({ id: 'a' })).balance, 40);
+    assert.strictEqual(
+      (await getScheduledInstruction({ id: future.id })).status,
+      SCHEDULE_STATUSES.SCHEDULED
+    );
+  });
+
+  it('marks an instruction that throws as failed and runs the rest', async () => {
+    const past = new Date(Date.now() - 1000).toISOString();
+    const broken = await scheduleInstruction({
+      instruction: 'DEBIT 1 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+      // Fails input validation, so parsePaymentInstruction throws
+      fx_rates: [{ from: 'USD' }],
+      execute_by: past,
+    });
+    const next = await scheduleInstruction({
+      instruction: 'DEBIT 2 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+      execute_by: past,
+    });
+
+    const executed = await runDueInstructions();
+
+    assert.deepStrictEqual(
+      executed.map((record) => [record.id, record.status]),
+      [
+        [broken.id, SCHEDULE_STATUSES.FAILED],
+        [next.id, SCHEDULE_STATUSES.EXECUTED],
+      ]
+    );
+    const brokenRecord = await getScheduledInstruction({ id: broken.id });
+    assert.strictEqual(brokenRecord.status, SCHEDULE_STATUSES.FAILED);
+    assert.strictEqual(brokenRecord.result, null);
+    assert.ok(brokenRecord.error);
+    assert.strictEqual((await getAccount({ id: 'b' })).balance, 62);
+  });
+});
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+
+const readFile = promisify(fs.readFile);
+const writeFile = promisify(fs.writeFile);
+const rename = promisify(fs.rename);
+const mkdir = promisify(fs.mkdir);
+
+/**
+ * @typedef {Object} StoredRecord
+ * @property {string} id - Record ID
+ * @property {string} created_at - ISO timestamp
+ * @property {string} updated_at - ISO timestamp
+ */
+
+/**
+ * @typedef {Object} FileRepositoryConfig
+ * @property {string} filePath - Path of the JSON file the records are persisted to.
+ */
+
+/**
+ * Create a file-backed repository of records keyed by `id`.
+ * Records are held in memory and written through to a JSON file; every write replaces the
+ * file via a rename so a crash never leaves a half-written store behind.
+ * @param {FileRepositoryConfig} config
+ */
+function createFileRepository({ filePath }) {
+  /** @type {StoredRecord[]|null} */
+  let records = null;
+  let queue = Promise.resolve();
+
+  async function load() {
+    if (records) return records;
+
+    try {
+      records = JSON.parse(await readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      records = [];
+    }
+
+    return records;
+  }
+
+  async function persist(nextRecords) {
+    await mkdir(path.dirname(filePath), { recursive: true });
+
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await writeFile(tempPath, JSON.stringify(nextRecords, null, 2));
+    await rename(tempPath, filePath);
+
+    records = nextRecords;
+  }
+
+  /**
+   * Run a task with exclusive access to the repository.
+   * Read-modify-write sequences must go through here so concurrent requests can't interleave.
+   * @template T
+   * @param {() => Promise<T>} task
+   * @returns {Promise<T>}
+   */
+  function runExclusive(task) {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * @returns {Promise<StoredRecord[]>}
+   */
+  async function list() {
+    return (await load()).map((record) => ({ ...record }));
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<StoredRecord|null>}
+   */
+  async function get(id) {
+    const record = (await load()).find((r) => r.id === id);
+    return record ? { ...record } : null;
+  }
+
+  /**
+   * @param {{id: string}} record
+   * @returns {Promise<StoredRecord>}
+   */
+  async function create(record) {
+    const now = new Date().toISOString();
+    const storedRecord = { ...record, created_at: now, updated_at: now };
+
+    await persist([...(await load()), storedRecord]);
+
+    return { ...storedRecord };
+  }
+
+  /**
+   * Apply changes to several records in a single write; either all of them land or none do.
+   * @param {Array<{id: string}>} changes - Each entry holds the record ID and the fields to change
+   * @returns {Promise<StoredRecord[]>} - The updated records
+   */
+  async function updateMany(changes) {
+    const now = new Date().toISOString();
+    const nextRecords = (await load()).map((record) => {
+      const change = changes.find((c) => c.id === record.id);
+      return change ? { ...record, ...change, id: record.id, updated_at: now } : record;
+    });
+
+    await persist(nextRecords);
+
+    return nextRecords
+      .filter((record) => changes.some((c) => c.id === record.id))
+      .map((record) => ({ ...record }));
+  }
+
+  /**
+   * Delete several records in a single write
+   * @param {string[]} ids - IDs of the records to delete
+   * @returns {Promise<number>} - Number of records deleted
+   */
+  async function removeMany(ids) {
+    const currentRecords = await load();
+    const nextRecords = currentRecords.filter((record) => !ids.includes(record.id));
+    if (nextRecords.length === currentRecords.length) return 0;
+
+    await persist(nextRecords);
+
+    return currentRecords.length - nextRecords.length;
+  }
+
+  return {
+    runExclusive,
+    list,
+    get,
+    create,
+    updateMany,
+    removeMany,
+  };
+}
+
+module.exports = createFileRepository;
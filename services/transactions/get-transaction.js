@@ -0,0 +1,24 @@
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { TransactionMessages } = require('@app/messages');
+const { transactionRepository } = require('./transaction-repository');
+
+const spec = `root {
+  id string
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+async function getTransaction(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  // Transaction references are upper-case, but instructions accept them in any case
+  const record = await transactionRepository.get(data.id.toUpperCase());
+  if (!record) {
+    throwAppError(`${TransactionMessages.TRANSACTION_NOT_FOUND}: ${data.id}`, ERROR_CODE.NOTFOUND);
+  }
+
+  return record;
+}
+
+module.exports = getTransaction;
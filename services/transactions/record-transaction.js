@@ -0,0 +1,48 @@
+const { appLogger } = require('@app-core/logger');
+const { transactionRepository } = require('./transaction-repository');
+
+/**
+ * Stores a transfer executed against the account store, keyed by its transaction reference.
+ * A reversal or refund is also added to the transfer it undoes.
+ * @param {object} result - Successful instruction response
+ * @returns {Promise<Object>} - The stored transaction record
+ */
+async function recordTransaction(result) {
+  const originalReference = result.reversal ? result.reversal.original_transaction_reference : null;
+
+  return transactionRepository.runExclusive(async () => {
+    const record = await transactionRepository.create({
+      id: result.transaction_reference,
+      type: result.type,
+      amount: result.amount,
+      amount_minor: result.amount_minor,
+      currency: result.currency,
+      debit_account: result.debit_account,
+      credit_account: result.credit_account,
+      reference: result.reference,
+      memo: result.memo,
+      legs: result.legs,
+      fx: result.fx,
+      reverses: originalReference,
+      reversed_amount_minor: 0,
+      reversals: [],
+    });
+
+    if (originalReference) {
+      const original = await transactionRepository.get(originalReference);
+      await transactionRepository.updateMany([
+        {
+          id: originalReference,
+          reversed_amount_minor: original.reversed_amount_minor + result.amount_minor,
+          reversals: [...original.reversals, result.transaction_reference],
+        },
+      ]);
+    }
+
+    appLogger.info({ id: record.id, reverses: originalReference }, 'transaction-recorded');
+
+    return record;
+  });
+}
+
+module.exports = recordTransaction;
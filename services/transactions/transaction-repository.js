@@ -0,0 +1,10 @@
+const path = require('path');
+const createFileRepository = require('../storage/file-repository');
+
+const transactionRepository = createFileRepository({
+  filePath:
+    process.env.TRANSACTION_STORE_FILE ||
+    path.join(process.cwd(), 'account-data', 'transactions.json'),
+});
+
+module.exports = { transactionRepository };
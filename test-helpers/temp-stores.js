@@ -0,0 +1,40 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after } = require('node:test');
+
+// Environment variable naming each file-backed store, and its file in the temporary directory
+const STORE_FILES = {
+  ACCOUNT_STORE_FILE: 'accounts.json',
+  SCHEDULE_STORE_FILE: 'scheduled-instructions.json',
+  TRANSACTION_STORE_FILE: 'transactions.json',
+  INSTRUCTION_FINGERPRINT_STORE_FILE: 'instruction-fingerprints.json',
+  HOLD_STORE_FILE: 'holds.json',
+  IDEMPOTENCY_STORE_FILE: 'idempotency-keys.json',
+};
+
+/**
+ * Points every store at a file in a new temporary directory and sets the receipt signing
+ * secret. Stores read their file path when first required, so call this before requiring any
+ * service. The directory and variables are removed after the test file's tests have run.
+ * @param {string} name - Prefix of the temporary directory, e.g. 'accounts'
+ * @returns {string} - Path of the temporary directory
+ */
+function useTempStores(name) {
+  const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), `${name}-test-`));
+  const variables = [...Object.keys(STORE_FILES), 'RECEIPT_SIGNING_SECRET'];
+
+  Object.keys(STORE_FILES).forEach((variable) => {
+    process.env[variable] = path.join(storeDir, STORE_FILES[variable]);
+  });
+  process.env.RECEIPT_SIGNING_SECRET = 'test-secret';
+
+  after(() => {
+    fs.rmSync(storeDir, { recursive: true, force: true });
+    variables.forEach((variable) => delete process.env[variable]);
+  });
+
+  return storeDir;
+}
+
+module.exports = { useTempStores };